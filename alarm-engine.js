@@ -0,0 +1,194 @@
+// Alarm engine: temperature validation, threshold rules with debounce/hysteresis and
+// alarm level ranking. It only reads and updates plain device objects (no DOM, toasts
+// or buzzer), so script.js decides how an outcome is shown and Node can load it as is.
+
+// Rules raise an alarm once their condition has held for `debounceSeconds`, and clear
+// only after the value leaves the hysteresis band (°C for limits, °C/min for the rate rule).
+// The device alarm level is the highest level among its active rules.
+const ALARM_LEVELS = ['none', 'warning', 'fault', 'critical'];
+const ALARM_TOAST_TYPES = { warning: 'warning', fault: 'error', critical: 'error' };
+const VALID_TEMPERATURE_RANGE = { min: -200, max: 1350 }; // type-K thermocouple span, °C
+
+// Raised straight away (no debounce/hysteresis) while the firmware reports a sensor fault.
+// The temperature rules keep their last state: the device cannot see the temperature.
+const SENSOR_FAULT_RULE = { id: 'fault', label: 'Sensor fault', level: () => 'fault' };
+
+const ALARM_RULES = [
+    {
+        id: 'over',
+        label: 'Over temperature',
+        level: () => 'critical',
+        value: (device, temp) => temp,
+        limit: device => device.threshold,
+        direction: 'above'
+    },
+    {
+        id: 'warning',
+        label: 'Approaching threshold',
+        level: () => 'warning',
+        value: (device, temp) => temp,
+        limit: device => device.warningThreshold,
+        direction: 'above'
+    },
+    {
+        id: 'under',
+        label: 'Under temperature',
+        level: settings => settings.underLevel,
+        value: (device, temp) => temp,
+        limit: device => device.lowThreshold,
+        direction: 'below'
+    },
+    {
+        id: 'rate',
+        label: 'Rapid temperature rise',
+        level: settings => settings.rateLevel,
+        value: (device, temp, settings) => rateOfRise(device.recentSamples, settings.rateWindow),
+        limit: (device, settings) => settings.maxRiseRate || null,
+        direction: 'above'
+    }
+];
+
+const DEFAULT_ALARM_SETTINGS = {
+    hysteresis: 1.0,      // °C (°C/min for the rate rule) the value must fall back before clearing
+    debounceSeconds: 3,   // condition must hold this long before an alarm is raised
+    maxRiseRate: 0,       // °C/min, 0 disables the rate-of-rise rule
+    rateWindow: 30,       // seconds of readings used to fit the rate of rise
+    rateLevel: 'warning',
+    underLevel: 'warning',
+    snoozeMinutes: 5      // how long Snooze silences the buzzer
+};
+
+// The firmware sends {status: "fault", error} instead of a reading when the thermocouple
+// is open or out of range. Anything else that is not a plausible number is treated the same.
+function isValidTemperature(value) {
+    return Number.isFinite(value) && value >= VALID_TEMPERATURE_RANGE.min && value <= VALID_TEMPERATURE_RANGE.max;
+}
+
+// Why the firmware's set_threshold would refuse a set of limits (°C, warning and low may be
+// null): 'range' (outside VALID_TEMPERATURE_RANGE), 'warning' (not below the threshold),
+// 'low' (not below the warning and threshold), or null when they can be used
+function alarmLimitsProblem({ threshold, warningThreshold, lowThreshold }) {
+    const optional = [warningThreshold, lowThreshold].filter(limit => limit !== null);
+    if (!isValidTemperature(threshold) || !optional.every(isValidTemperature)) return 'range';
+    if (warningThreshold !== null && warningThreshold >= threshold) return 'warning';
+    if (lowThreshold !== null && lowThreshold >= (warningThreshold ?? threshold)) return 'low';
+    return null;
+}
+
+// Turns derived limits into ones alarmLimitsProblem() accepts: the threshold is kept inside
+// VALID_TEMPERATURE_RANGE, and a low or warning limit outside it or out of order is switched
+// off (the warning first, so a narrow range keeps its low alarm). `changed` lists what was
+// adjusted: 'threshold', 'warning' and/or 'low'.
+function fitAlarmLimits({ threshold, warningThreshold, lowThreshold }) {
+    const { min, max } = VALID_TEMPERATURE_RANGE;
+    const limits = { threshold: Math.min(Math.max(threshold, min), max), warningThreshold, lowThreshold };
+    const changed = limits.threshold !== threshold ? ['threshold'] : [];
+
+    if (lowThreshold !== null && !(isValidTemperature(lowThreshold) && lowThreshold < limits.threshold)) {
+        limits.lowThreshold = null;
+        changed.push('low');
+    }
+    if (warningThreshold !== null && !(isValidTemperature(warningThreshold) && warningThreshold < limits.threshold &&
+        (limits.lowThreshold === null || warningThreshold > limits.lowThreshold))) {
+        limits.warningThreshold = null;
+        changed.push('warning');
+    }
+    return { limits, changed };
+}
+
+// Least-squares line through `samples` ({t, temp}): `slope` in °C per minute and
+// `intercept`, the fitted temperature at the first sample's time `t0`
+function fitLinearTrend(samples) {
+    const n = samples.length;
+    if (n < 2) return null;
+    const t0 = samples[0].t;
+    let sumX = 0, sumY = 0, sumXY = 0, sumXX = 0;
+    samples.forEach(({ t, temp }) => {
+        const x = (t - t0) / 60000;
+        sumX += x;
+        sumY += temp;
+        sumXY += x * temp;
+        sumXX += x * x;
+    });
+    const denominator = n * sumXX - sumX * sumX;
+    if (denominator === 0) return null;
+    const slope = (n * sumXY - sumX * sumY) / denominator;
+    return { t0, slope, intercept: (sumY - slope * sumX) / n };
+}
+
+// Fitted temperature at time t (epoch ms)
+function trendValueAt(trend, t) {
+    return trend.intercept + trend.slope * (t - trend.t0) / 60000;
+}
+
+// Least-squares slope of `samples` ({t, temp}), in °C per minute
+function rateOfRise(samples, rateWindow) {
+    if (samples.length < 3) return null;
+    const span = (samples[samples.length - 1].t - samples[0].t) / 1000;
+    if (span < rateWindow / 2) return null; // not enough history for a stable fit
+
+    const trend = fitLinearTrend(samples);
+    return trend ? trend.slope : null;
+}
+
+function isRuleTriggered(rule, value, limit, wasActive, hysteresis) {
+    const band = wasActive ? hysteresis : 0;
+    return rule.direction === 'above' ? value >= limit - band : value <= limit + band;
+}
+
+// Feeds one reading into the device's rate window and rule states (device.recentSamples,
+// device.alarmRules) and returns the rules that are active afterwards
+function evaluateAlarmRules(device, temp, time, settings) {
+    device.recentSamples.push({ t: time, temp });
+    while (device.recentSamples.length && time - device.recentSamples[0].t > settings.rateWindow * 1000) {
+        device.recentSamples.shift();
+    }
+
+    ALARM_RULES.forEach(rule => {
+        const state = device.alarmRules[rule.id] || (device.alarmRules[rule.id] = { active: false, pendingSince: null });
+        const limit = rule.limit(device, settings);
+        const value = rule.value(device, temp, settings);
+
+        if (limit === null || value === null) {
+            state.active = false;
+            state.pendingSince = null;
+            return;
+        }
+
+        if (!isRuleTriggered(rule, value, limit, state.active, settings.hysteresis)) {
+            state.active = false;
+            state.pendingSince = null;
+        } else if (!state.active) {
+            // Debounce: only raise once the condition has held long enough
+            if (state.pendingSince === null) state.pendingSince = time;
+            if (time - state.pendingSince >= settings.debounceSeconds * 1000) {
+                state.active = true;
+            }
+        }
+    });
+
+    return activeAlarmRules(device);
+}
+
+function activeAlarmRules(device) {
+    const active = ALARM_RULES.filter(rule => device.alarmRules[rule.id] && device.alarmRules[rule.id].active);
+    return device.sensorFault ? active.concat(SENSOR_FAULT_RULE) : active;
+}
+
+function highestAlarmLevel(rules, settings) {
+    return rules.reduce((highest, rule) =>
+        ALARM_LEVELS.indexOf(rule.level(settings)) > ALARM_LEVELS.indexOf(highest) ? rule.level(settings) : highest, 'none');
+}
+
+// True when `level` ranks above `previous` (an escalation)
+function isHigherAlarmLevel(level, previous) {
+    return ALARM_LEVELS.indexOf(level) > ALARM_LEVELS.indexOf(previous);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ALARM_LEVELS, ALARM_RULES, SENSOR_FAULT_RULE, DEFAULT_ALARM_SETTINGS, VALID_TEMPERATURE_RANGE,
+        isValidTemperature, alarmLimitsProblem, fitAlarmLimits, fitLinearTrend, trendValueAt, rateOfRise, isRuleTriggered, evaluateAlarmRules, activeAlarmRules,
+        highestAlarmLevel, isHigherAlarmLevel
+    };
+}
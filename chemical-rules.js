@@ -0,0 +1,314 @@
+// Chemical records: validation of what the database form (or an import) is about to save,
+// the alarm limits a device takes from its linked chemical, and import/export parsing.
+// No DOM access.
+
+// In Node the CSV helpers come from csv-export.js; in the browser they are already globals
+if (typeof module !== 'undefined' && module.exports && typeof csvEscape === 'undefined') {
+    var { csvEscape } = require('./csv-export.js');
+}
+
+const HAZARD_LEVELS = ['Low', 'Medium', 'High'];
+
+// GHS hazard pictograms by code
+const GHS_PICTOGRAMS = {
+    GHS01: 'Explosive',
+    GHS02: 'Flammable',
+    GHS03: 'Oxidizer',
+    GHS04: 'Compressed gas',
+    GHS05: 'Corrosive',
+    GHS06: 'Acute toxicity',
+    GHS07: 'Harmful / irritant',
+    GHS08: 'Health hazard',
+    GHS09: 'Environmental hazard'
+};
+
+// Optional temperatures (°C); null when unknown. Older records may not have them at all.
+const OPTIONAL_TEMPERATURES = [
+    { key: 'flashPoint', label: 'Flash point' },
+    { key: 'autoignitionTemp', label: 'Autoignition temperature' },
+    { key: 'maxSafeTemp', label: 'Max safe operating temperature' }
+];
+
+function hasValue(value) {
+    return value !== null && value !== undefined && value !== '' && !(Array.isArray(value) && value.length === 0);
+}
+
+// CAS registry numbers end in a check digit: the other digits, weighted 1, 2, 3… from the
+// right, sum to it modulo 10
+function isValidCasNumber(cas) {
+    const match = /^(\d{2,7})-(\d{2})-(\d)$/.exec(cas);
+    if (!match) return false;
+    const digits = (match[1] + match[2]).split('').reverse();
+    const sum = digits.reduce((total, digit, i) => total + (i + 1) * Number(digit), 0);
+    return sum % 10 === Number(match[3]);
+}
+
+// Returns a list of problems with a chemical record; empty when it can be saved
+function validateChemical(chemical) {
+    const errors = [];
+    const { boilingPoint, freezingPoint, flashPoint, autoignitionTemp, maxSafeTemp } = chemical;
+    const known = value => Number.isFinite(value);
+
+    if (!String(chemical.chemName || '').trim()) errors.push('Chemical name is required');
+    if (!String(chemical.formula || '').trim()) errors.push('Chemical formula is required');
+    if (hasValue(chemical.casNumber) && !isValidCasNumber(chemical.casNumber)) {
+        errors.push(`"${chemical.casNumber}" is not a valid CAS number`);
+    }
+    if (!known(boilingPoint)) errors.push('Boiling point must be a number');
+    if (!known(freezingPoint)) errors.push('Freezing point must be a number');
+    OPTIONAL_TEMPERATURES.forEach(({ key, label }) => {
+        if (hasValue(chemical[key]) && !known(chemical[key])) errors.push(`${label} must be a number or left empty`);
+    });
+    if (!HAZARD_LEVELS.includes(chemical.hazardLevel)) errors.push(`Hazard level must be ${HAZARD_LEVELS.join(', ')}`);
+    (chemical.ghsPictograms || []).filter(code => !GHS_PICTOGRAMS[code]).forEach(code => {
+        errors.push(`Unknown GHS pictogram "${code}"`);
+    });
+
+    // Consistency between the temperatures that are known
+    if (known(boilingPoint) && known(freezingPoint) && freezingPoint >= boilingPoint) {
+        errors.push('Freezing point must be below the boiling point');
+    }
+    if (known(flashPoint) && known(boilingPoint) && flashPoint >= boilingPoint) {
+        errors.push('Flash point must be below the boiling point');
+    }
+    if (known(flashPoint) && known(autoignitionTemp) && autoignitionTemp <= flashPoint) {
+        errors.push('Autoignition temperature must be above the flash point');
+    }
+    if (known(maxSafeTemp)) {
+        if (known(boilingPoint) && maxSafeTemp > boilingPoint) errors.push('Max safe temperature cannot be above the boiling point');
+        if (known(freezingPoint) && maxSafeTemp <= freezingPoint) errors.push('Max safe temperature must be above the freezing point');
+        if (known(autoignitionTemp) && maxSafeTemp >= autoignitionTemp) {
+            errors.push('Max safe temperature must be below the autoignition temperature');
+        }
+    }
+    return errors;
+}
+
+// The alarm fires at the boiling point (earlier for High hazard chemicals) or at the max
+// safe operating temperature when that is lower, the warning `margins.warningMargin` below
+// the alarm point and the low alarm at the freezing point
+function deriveChemicalThresholds(chemical, margins) {
+    let alarm = chemical.boilingPoint - (chemical.hazardLevel === 'High' ? margins.highHazardMargin : 0);
+    if (Number.isFinite(chemical.maxSafeTemp)) alarm = Math.min(alarm, chemical.maxSafeTemp);
+    return { threshold: alarm, warningThreshold: alarm - margins.warningMargin, lowThreshold: chemical.freezingPoint };
+}
+
+// --- Table sorting & search ---
+// Blank values sort last in either direction; hazard levels sort by severity
+function sortChemicals(list, key, direction = 1) {
+    return list.slice().sort((a, b) => {
+        const blankA = !hasValue(a[key]);
+        const blankB = !hasValue(b[key]);
+        if (blankA || blankB) return blankA - blankB;
+
+        let order;
+        if (key === 'hazardLevel') order = HAZARD_LEVELS.indexOf(a[key]) - HAZARD_LEVELS.indexOf(b[key]);
+        else if (typeof a[key] === 'number' && typeof b[key] === 'number') order = a[key] - b[key];
+        else order = String(a[key]).localeCompare(String(b[key]), undefined, { numeric: true, sensitivity: 'base' });
+        return order * direction;
+    });
+}
+
+// Matches the search box against the text fields and GHS pictograms (code or name)
+function chemicalMatchesSearch(chemical, term) {
+    const query = term.trim().toLowerCase();
+    if (!query) return true;
+    const pictograms = (chemical.ghsPictograms || []).flatMap(code => [code, GHS_PICTOGRAMS[code] || '']);
+    return [chemical.chemName, chemical.formula, chemical.casNumber, chemical.hazardLevel, chemical.notes, ...pictograms]
+        .some(text => hasValue(text) && String(text).toLowerCase().includes(query));
+}
+
+// --- Import & export ---
+// Columns of the chemical CSV. On import, headers are matched loosely (case, spacing and
+// units are ignored) against `header` and the `aliases`.
+const CHEMICAL_COLUMNS = [
+    { key: 'chemName', header: 'Name', aliases: ['Chemical Name', 'Chemical', 'chemName'] },
+    { key: 'formula', header: 'Formula', aliases: ['Chemical Formula'] },
+    { key: 'casNumber', header: 'CAS Number', aliases: ['CAS', 'CAS No', 'CAS RN'] },
+    { key: 'boilingPoint', header: 'Boiling Point (°C)', aliases: ['BP'] },
+    { key: 'freezingPoint', header: 'Freezing Point (°C)', aliases: ['Melting Point', 'MP'] },
+    { key: 'flashPoint', header: 'Flash Point (°C)', aliases: ['Flash'] },
+    { key: 'autoignitionTemp', header: 'Autoignition Temperature (°C)', aliases: ['Autoignition', 'AIT'] },
+    { key: 'maxSafeTemp', header: 'Max Safe Temperature (°C)', aliases: ['Max Safe', 'Max Operating Temperature'] },
+    { key: 'hazardLevel', header: 'Hazard Level', aliases: ['Hazard'] },
+    { key: 'ghsPictograms', header: 'GHS Pictograms', aliases: ['GHS'] },
+    { key: 'notes', header: 'Notes', aliases: [] }
+];
+
+// Common lab solvents, offered as an optional starting library (°C at 1 atm; flash points
+// closed cup). The max safe temperature depends on the setup, so it is left to the lab.
+const SEED_CHEMICALS = [
+    { chemName: 'Water', formula: 'H2O', casNumber: '7732-18-5', boilingPoint: 100, freezingPoint: 0, flashPoint: null, autoignitionTemp: null, maxSafeTemp: null,
+      hazardLevel: 'Low', ghsPictograms: [], notes: 'Reference standard' },
+    { chemName: 'Ethanol', formula: 'C2H6O', casNumber: '64-17-5', boilingPoint: 78.4, freezingPoint: -114.1, flashPoint: 13, autoignitionTemp: 363, maxSafeTemp: null,
+      hazardLevel: 'Medium', ghsPictograms: ['GHS02', 'GHS07'], notes: 'Flammable' },
+    { chemName: 'Methanol', formula: 'CH4O', casNumber: '67-56-1', boilingPoint: 64.7, freezingPoint: -97.6, flashPoint: 11, autoignitionTemp: 464, maxSafeTemp: null,
+      hazardLevel: 'High', ghsPictograms: ['GHS02', 'GHS06', 'GHS08'], notes: 'Flammable, toxic' },
+    { chemName: 'Isopropanol', formula: 'C3H8O', casNumber: '67-63-0', boilingPoint: 82.6, freezingPoint: -89, flashPoint: 12, autoignitionTemp: 399, maxSafeTemp: null,
+      hazardLevel: 'Medium', ghsPictograms: ['GHS02', 'GHS07'], notes: 'Flammable' },
+    { chemName: 'Acetone', formula: 'C3H6O', casNumber: '67-64-1', boilingPoint: 56.1, freezingPoint: -94.7, flashPoint: -20, autoignitionTemp: 465, maxSafeTemp: null,
+      hazardLevel: 'High', ghsPictograms: ['GHS02', 'GHS07'], notes: 'Highly flammable' },
+    { chemName: 'Ethyl acetate', formula: 'C4H8O2', casNumber: '141-78-6', boilingPoint: 77.1, freezingPoint: -83.6, flashPoint: -4, autoignitionTemp: 426, maxSafeTemp: null,
+      hazardLevel: 'Medium', ghsPictograms: ['GHS02', 'GHS07'], notes: 'Flammable' },
+    { chemName: 'Acetonitrile', formula: 'C2H3N', casNumber: '75-05-8', boilingPoint: 81.6, freezingPoint: -45.7, flashPoint: 2, autoignitionTemp: 524, maxSafeTemp: null,
+      hazardLevel: 'Medium', ghsPictograms: ['GHS02', 'GHS07'], notes: 'Flammable, toxic' },
+    { chemName: 'Dichloromethane', formula: 'CH2Cl2', casNumber: '75-09-2', boilingPoint: 39.6, freezingPoint: -96.7, flashPoint: null, autoignitionTemp: 556, maxSafeTemp: null,
+      hazardLevel: 'High', ghsPictograms: ['GHS07', 'GHS08'], notes: 'Volatile, suspected carcinogen' },
+    { chemName: 'Chloroform', formula: 'CHCl3', casNumber: '67-66-3', boilingPoint: 61.2, freezingPoint: -63.5, flashPoint: null, autoignitionTemp: null, maxSafeTemp: null,
+      hazardLevel: 'High', ghsPictograms: ['GHS06', 'GHS07', 'GHS08'], notes: 'Toxic' },
+    { chemName: 'Diethyl ether', formula: 'C4H10O', casNumber: '60-29-7', boilingPoint: 34.6, freezingPoint: -116.3, flashPoint: -45, autoignitionTemp: 160, maxSafeTemp: null,
+      hazardLevel: 'High', ghsPictograms: ['GHS02', 'GHS07'], notes: 'Extremely flammable, forms peroxides' },
+    { chemName: 'Tetrahydrofuran', formula: 'C4H8O', casNumber: '109-99-9', boilingPoint: 66, freezingPoint: -108.4, flashPoint: -14, autoignitionTemp: 321, maxSafeTemp: null,
+      hazardLevel: 'High', ghsPictograms: ['GHS02', 'GHS07', 'GHS08'], notes: 'Flammable, forms peroxides' },
+    { chemName: 'Hexane', formula: 'C6H14', casNumber: '110-54-3', boilingPoint: 68.7, freezingPoint: -95.3, flashPoint: -22, autoignitionTemp: 225, maxSafeTemp: null,
+      hazardLevel: 'High', ghsPictograms: ['GHS02', 'GHS07', 'GHS08', 'GHS09'], notes: 'Highly flammable, neurotoxic' },
+    { chemName: 'Heptane', formula: 'C7H16', casNumber: '142-82-5', boilingPoint: 98.4, freezingPoint: -90.6, flashPoint: -4, autoignitionTemp: 204, maxSafeTemp: null,
+      hazardLevel: 'Medium', ghsPictograms: ['GHS02', 'GHS07', 'GHS08', 'GHS09'], notes: 'Highly flammable' },
+    { chemName: 'Cyclohexane', formula: 'C6H12', casNumber: '110-82-7', boilingPoint: 80.7, freezingPoint: 6.5, flashPoint: -20, autoignitionTemp: 245, maxSafeTemp: null,
+      hazardLevel: 'Medium', ghsPictograms: ['GHS02', 'GHS07', 'GHS08', 'GHS09'], notes: 'Highly flammable' },
+    { chemName: 'Toluene', formula: 'C7H8', casNumber: '108-88-3', boilingPoint: 110.6, freezingPoint: -95, flashPoint: 4, autoignitionTemp: 480, maxSafeTemp: null,
+      hazardLevel: 'High', ghsPictograms: ['GHS02', 'GHS07', 'GHS08'], notes: 'Flammable, reproductive toxin' },
+    { chemName: 'Acetic acid', formula: 'C2H4O2', casNumber: '64-19-7', boilingPoint: 118.1, freezingPoint: 16.6, flashPoint: 39, autoignitionTemp: 427, maxSafeTemp: null,
+      hazardLevel: 'Medium', ghsPictograms: ['GHS02', 'GHS05'], notes: 'Corrosive (glacial)' },
+    { chemName: 'Dimethylformamide', formula: 'C3H7NO', casNumber: '68-12-2', boilingPoint: 153, freezingPoint: -61, flashPoint: 58, autoignitionTemp: 445, maxSafeTemp: null,
+      hazardLevel: 'High', ghsPictograms: ['GHS02', 'GHS07', 'GHS08'], notes: 'Reproductive toxin' },
+    { chemName: 'Dimethyl sulfoxide', formula: 'C2H6OS', casNumber: '67-68-5', boilingPoint: 189, freezingPoint: 18.5, flashPoint: 87, autoignitionTemp: 301, maxSafeTemp: null,
+      hazardLevel: 'Low', ghsPictograms: [], notes: 'Skin penetrant' },
+    { chemName: 'Glycerol', formula: 'C3H8O3', casNumber: '56-81-5', boilingPoint: 290, freezingPoint: 17.8, flashPoint: 160, autoignitionTemp: 370, maxSafeTemp: null,
+      hazardLevel: 'Low', ghsPictograms: [], notes: 'Decomposes near boiling' }
+];
+
+function buildChemicalsCsv(chemicals) {
+    let csv = CHEMICAL_COLUMNS.map(column => column.header).join(',') + '\n';
+    chemicals.forEach(chemical => {
+        csv += CHEMICAL_COLUMNS.map(column => {
+            const value = chemical[column.key] ?? '';
+            return csvEscape(Array.isArray(value) ? value.join(' ') : value);
+        }).join(',') + '\n';
+    });
+    return csv;
+}
+
+// "Boiling Point (°C)" → "boilingpoint"
+function columnKey(header) {
+    return String(header).toLowerCase().replace(/\(.*?\)/g, '').replace(/[^a-z0-9]/g, '');
+}
+
+function toNumber(value) {
+    if (typeof value === 'number') return value;
+    const text = String(value ?? '').trim();
+    return text === '' ? NaN : Number(text);
+}
+
+// Like toNumber(), but blank means "not known" (null)
+function toOptionalNumber(value) {
+    return hasValue(value) && String(value).trim() !== '' ? toNumber(value) : null;
+}
+
+// "GHS02 GHS7; ghs09" or ['GHS02'] → ['GHS02', 'GHS07', 'GHS09']
+function toPictogramList(value) {
+    const codes = Array.isArray(value) ? value : String(value ?? '').split(/[\s,;]+/);
+    return [...new Set(codes.map(code => String(code).trim().toUpperCase()).filter(Boolean)
+        .map(code => code.replace(/^GHS0?([1-9])$/, 'GHS0$1')))];
+}
+
+// Trims and types one imported record the way the chemical form would save it
+function normalizeChemical(raw) {
+    const hazard = String(raw.hazardLevel ?? '').trim().toLowerCase();
+    return {
+        chemName: String(raw.chemName ?? '').trim(),
+        formula: String(raw.formula ?? '').trim(),
+        casNumber: String(raw.casNumber ?? '').trim(),
+        boilingPoint: toNumber(raw.boilingPoint),
+        freezingPoint: toNumber(raw.freezingPoint),
+        flashPoint: toOptionalNumber(raw.flashPoint),
+        autoignitionTemp: toOptionalNumber(raw.autoignitionTemp),
+        maxSafeTemp: toOptionalNumber(raw.maxSafeTemp),
+        hazardLevel: HAZARD_LEVELS.find(level => level.toLowerCase() === hazard) || String(raw.hazardLevel ?? '').trim(),
+        ghsPictograms: toPictogramList(raw.ghsPictograms),
+        notes: String(raw.notes ?? '').trim()
+    };
+}
+
+// Turns parsed CSV rows (header first) into raw chemical records
+function chemicalsFromCsvRows(rows) {
+    if (rows.length === 0) return [];
+    const columns = rows[0].map(header => CHEMICAL_COLUMNS.find(column =>
+        [column.header, ...column.aliases].some(name => columnKey(name) === columnKey(header))));
+    if (!columns.some(column => column && column.key === 'chemName')) {
+        throw new Error('The CSV has no "Name" column');
+    }
+
+    return rows.slice(1)
+        .filter(row => row.some(cell => cell.trim() !== ''))
+        .map(row => {
+            const raw = {};
+            columns.forEach((column, i) => {
+                if (column) raw[column.key] = row[i];
+            });
+            return raw;
+        });
+}
+
+// Accepts our own export ({chemicals: [...]}) or a bare array of records
+function chemicalsFromJson(text) {
+    const parsed = JSON.parse(text);
+    const list = Array.isArray(parsed) ? parsed : parsed && parsed.chemicals;
+    if (!Array.isArray(list)) throw new Error('The JSON has no list of chemicals');
+    return list.map(item => (item && typeof item === 'object' ? item : {}));
+}
+
+function sameChemicalValue(a, b) {
+    if (!hasValue(a) || !hasValue(b)) return !hasValue(a) && !hasValue(b);
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Plans an import against the existing database without changing anything. Each entry is
+// {action: 'add' | 'update' | 'skip' | 'invalid', chemical, existing?, reason?, warning?}. A
+// record matching an existing chemical by name or CAS number is skipped, or merged into it
+// when `duplicates` is 'merge'. A formula is not an identity (1-propanol and isopropanol are
+// both C3H8O): a new record sharing only the formula is added with a warning.
+function planChemicalImport(incoming, existing, duplicates) {
+    const nameKey = name => name.trim().toLowerCase();
+    const formulaKey = formula => formula.replace(/\s+/g, '');
+    const byName = new Map(existing.map(c => [nameKey(c.chemName), c]));
+    const byCas = new Map(existing.filter(c => c.casNumber).map(c => [c.casNumber, c]));
+    const seen = new Set();
+    const claimed = new Set();
+
+    return incoming.map(raw => {
+        const chemical = normalizeChemical(raw);
+        const errors = validateChemical(chemical);
+        if (errors.length) return { action: 'invalid', chemical, reason: errors.join('; ') };
+
+        const keys = [`name:${nameKey(chemical.chemName)}`];
+        if (chemical.casNumber) keys.push(`cas:${chemical.casNumber}`);
+        if (keys.some(key => seen.has(key))) return { action: 'skip', chemical, reason: 'Repeated in this import' };
+        keys.forEach(key => seen.add(key));
+
+        const match = byName.get(nameKey(chemical.chemName)) || byCas.get(chemical.casNumber);
+        if (!match) {
+            // Different CAS numbers settle it; otherwise the same formula may be the same chemical
+            const sameFormula = existing.find(c => c.formula && formulaKey(c.formula) === formulaKey(chemical.formula) &&
+                !(c.casNumber && chemical.casNumber));
+            return sameFormula
+                ? { action: 'add', chemical, warning: `Same formula as ${sameFormula.chemName} – check it is not a duplicate` }
+                : { action: 'add', chemical };
+        }
+        if (claimed.has(match)) return { action: 'skip', chemical, existing: match, reason: `${match.chemName} is already being merged` };
+        claimed.add(match);
+
+        if (duplicates !== 'merge') return { action: 'skip', chemical, existing: match, reason: `Matches ${match.chemName}` };
+        const changed = Object.keys(chemical).some(key => !sameChemicalValue(chemical[key], match[key]));
+        return changed
+            ? { action: 'update', chemical, existing: match, reason: `Updates ${match.chemName}` }
+            : { action: 'skip', chemical, existing: match, reason: `${match.chemName} is unchanged` };
+    });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        HAZARD_LEVELS, GHS_PICTOGRAMS, CHEMICAL_COLUMNS, SEED_CHEMICALS, isValidCasNumber, validateChemical,
+        deriveChemicalThresholds, sortChemicals, chemicalMatchesSearch, buildChemicalsCsv, normalizeChemical, chemicalsFromCsvRows, chemicalsFromJson, planChemicalImport
+    };
+}
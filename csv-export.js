@@ -0,0 +1,87 @@
+// CSV builders for the dashboard exports, and the reader used by imports. They work on
+// plain arrays and strings; script.js handles the files.
+
+// In Node the validator comes from alarm-engine.js; in the browser it is already a global
+if (typeof module !== 'undefined' && module.exports && typeof isValidTemperature === 'undefined') {
+    var { isValidTemperature } = require('./alarm-engine.js');
+}
+if (typeof module !== 'undefined' && module.exports && typeof toDisplayTemp === 'undefined') {
+    var { toDisplayTemp, temperatureSymbol } = require('./display-units.js');
+}
+
+// Quote a CSV field when it contains a delimiter, quote or line break (CR or LF)
+function csvEscape(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Recorded readings ({time, device, temperature, threshold}); fault placeholders are skipped.
+// Readings are stored in °C and written in `unit` (C, F or K).
+function buildReadingsCsv(readings, unit = 'C') {
+    const symbol = temperatureSymbol(unit);
+    let csv = `Time,Device,Temperature (${symbol}),Threshold (${symbol})\n`;
+    readings.filter(point => isValidTemperature(point.temperature)).forEach(point => {
+        csv += `${point.time},${csvEscape(point.device)},${toDisplayTemp(point.temperature, unit).toFixed(2)},` +
+            `${toDisplayTemp(point.threshold, unit).toFixed(2)}\n`;
+    });
+    return csv;
+}
+
+// One row per alarm episode in the alarm history
+function buildAlarmLogCsv(entries, unit = 'C') {
+    let csv = `Device,Level,Rules,Raised,Peak Temperature (${temperatureSymbol(unit)}),Acknowledged,Acknowledged By,Snoozes,Cleared\n`;
+    entries.forEach(entry => {
+        const snoozes = entry.snoozes.map(s => `${s.at} ${s.minutes}min by ${s.by}`).join('; ');
+        const cleared = entry.clearedAt || (entry.interrupted ? 'interrupted' : 'active');
+        csv += [entry.device, entry.level, entry.rules.join('; '), entry.raisedAt,
+            entry.peakTemperature === null ? '' : toDisplayTemp(entry.peakTemperature, unit).toFixed(2),
+            entry.acknowledgedAt || '', entry.acknowledgedBy || '', snoozes, cleared].map(csvEscape).join(',') + '\n';
+    });
+    return csv;
+}
+
+// Splits CSV text into rows of fields: quoted fields may hold commas, quotes ("") and
+// newlines; CRLF and LF line endings are both accepted
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    text = text.replace(/^\uFEFF/, ''); // byte order mark added by spreadsheet apps
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { csvEscape, buildReadingsCsv, buildAlarmLogCsv, parseCsv };
+}
@@ -0,0 +1,138 @@
+// Display preferences: temperature unit, decimal places, clock format and chart palette.
+// Everything is stored, alarmed on and sent to the firmware in °C; these helpers only
+// convert at the edges (what is shown, typed in or exported). No DOM access.
+
+const TEMPERATURE_UNITS = {
+    C: { symbol: '°C', label: 'Celsius', fromC: c => c, toC: v => v, scale: 1 },
+    F: { symbol: '°F', label: 'Fahrenheit', fromC: c => c * 9 / 5 + 32, toC: v => (v - 32) * 5 / 9, scale: 9 / 5 },
+    K: { symbol: 'K', label: 'Kelvin', fromC: c => c + 273.15, toC: v => v - 273.15, scale: 1 }
+};
+
+const TIME_FORMATS = {
+    locale: { label: 'Browser default', hour12: undefined },
+    '24h': { label: '24-hour', hour12: false },
+    '12h': { label: '12-hour (AM/PM)', hour12: true }
+};
+
+// `series` colours are handed out to devices in order; limit lines use boiling/freezing
+const CHART_PALETTES = {
+    default: {
+        label: 'Default',
+        series: ['#60a5fa', '#34d399', '#f472b6', '#fbbf24', '#a78bfa', '#f87171', '#22d3ee', '#fb923c'],
+        boiling: '#f97316',
+        freezing: '#38bdf8'
+    },
+    colorblind: {
+        label: 'Colour-blind safe',
+        series: ['#56b4e9', '#e69f00', '#009e73', '#f0e442', '#cc79a7', '#0072b2', '#d55e00', '#ffffff'],
+        boiling: '#d55e00',
+        freezing: '#56b4e9'
+    },
+    contrast: {
+        label: 'High contrast',
+        series: ['#ffff00', '#00ffff', '#ff00ff', '#00ff00', '#ff8000', '#ffffff', '#ff4040', '#4080ff'],
+        boiling: '#ff4040',
+        freezing: '#00ffff'
+    }
+};
+
+const MAX_DISPLAY_DECIMALS = 3;
+const DEFAULT_DISPLAY_PREFS = { unit: 'C', decimals: 1, timeFormat: 'locale', palette: 'default' };
+
+// Saved preferences with anything unknown (a removed palette, a corrupt value) reset to the default
+function normalizeDisplayPrefs(saved) {
+    const prefs = { ...DEFAULT_DISPLAY_PREFS };
+    if (!saved || typeof saved !== 'object') return prefs;
+    if (TEMPERATURE_UNITS[saved.unit]) prefs.unit = saved.unit;
+    if (TIME_FORMATS[saved.timeFormat]) prefs.timeFormat = saved.timeFormat;
+    if (CHART_PALETTES[saved.palette]) prefs.palette = saved.palette;
+    const decimals = Number(saved.decimals);
+    if (Number.isInteger(decimals) && decimals >= 0 && decimals <= MAX_DISPLAY_DECIMALS) prefs.decimals = decimals;
+    return prefs;
+}
+
+// Conversions round away binary noise (78.37 °C → 351.52 K, not 351.52000000000004)
+function roundConverted(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
+
+function toDisplayTemp(celsius, unit) {
+    return roundConverted(TEMPERATURE_UNITS[unit].fromC(celsius));
+}
+
+function fromDisplayTemp(value, unit) {
+    return roundConverted(TEMPERATURE_UNITS[unit].toC(value));
+}
+
+// Temperature differences (margins, hysteresis, °/min) scale but have no offset
+function toDisplayDelta(celsius, unit) {
+    return roundConverted(celsius * TEMPERATURE_UNITS[unit].scale);
+}
+
+function fromDisplayDelta(value, unit) {
+    return roundConverted(value / TEMPERATURE_UNITS[unit].scale);
+}
+
+function temperatureSymbol(unit) {
+    return TEMPERATURE_UNITS[unit].symbol;
+}
+
+// "78.4°C" / "173.1°F" / "351.5 K"; '-' for a missing value
+function formatTemp(celsius, prefs) {
+    if (!Number.isFinite(celsius)) return '-';
+    const text = toDisplayTemp(celsius, prefs.unit).toFixed(prefs.decimals);
+    return prefs.unit === 'K' ? `${text} K` : text + temperatureSymbol(prefs.unit);
+}
+
+// A temperature difference (spread, rate per minute) in the display unit; '-' when missing
+function formatTempDelta(celsius, prefs) {
+    if (!Number.isFinite(celsius)) return '-';
+    const text = toDisplayDelta(celsius, prefs.unit).toFixed(prefs.decimals);
+    return prefs.unit === 'K' ? `${text} K` : text + temperatureSymbol(prefs.unit);
+}
+
+function formatTime(time, prefs) {
+    return new Date(time).toLocaleTimeString(undefined, { hour12: TIME_FORMATS[prefs.timeFormat].hour12 });
+}
+
+function formatDateTime(time, prefs) {
+    return new Date(time).toLocaleString(undefined, { hour12: TIME_FORMATS[prefs.timeFormat].hour12 });
+}
+
+// date-fns patterns for the chart's time axis and tooltip
+function chartTimeFormats(prefs) {
+    switch (prefs.timeFormat) {
+        case '24h':
+            return { displayFormats: { second: 'HH:mm:ss', minute: 'HH:mm', hour: 'HH:mm' }, tooltipFormat: 'PP HH:mm:ss' };
+        case '12h':
+            return { displayFormats: { second: 'h:mm:ss a', minute: 'h:mm a', hour: 'h a' }, tooltipFormat: 'PP h:mm:ss a' };
+        default:
+            return { displayFormats: {}, tooltipFormat: 'PPpp' };
+    }
+}
+
+// Round tick positions (1/2/5 × 10^n steps) in the display unit, returned in °C so the
+// chart data can stay in °C
+function displayTicks(minC, maxC, maxTicks, unit) {
+    const min = toDisplayTemp(minC, unit);
+    const max = toDisplayTemp(maxC, unit);
+    if (!(max > min)) return [minC];
+
+    const rough = (max - min) / Math.max(1, maxTicks - 1);
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+    const step = [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= rough);
+
+    const ticks = [];
+    for (let value = Math.ceil(min / step) * step; value <= max + step * 1e-9; value += step) {
+        ticks.push(fromDisplayTemp(roundConverted(value), unit));
+    }
+    return ticks;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TEMPERATURE_UNITS, TIME_FORMATS, CHART_PALETTES, DEFAULT_DISPLAY_PREFS, MAX_DISPLAY_DECIMALS,
+        normalizeDisplayPrefs, toDisplayTemp, fromDisplayTemp, toDisplayDelta, fromDisplayDelta,
+        temperatureSymbol, formatTemp, formatTempDelta, formatTime, formatDateTime, chartTimeFormats, displayTicks
+    };
+}
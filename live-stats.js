@@ -0,0 +1,111 @@
+// Session statistics and the short-term trend used to predict when a device reaches its
+// limits. Works on recorded readings ({time, deviceId, temperature}) in °C; no DOM access.
+
+// In Node the validator and line fit come from alarm-engine.js; in the browser they are globals
+if (typeof module !== 'undefined' && module.exports && typeof fitLinearTrend === 'undefined') {
+    var { isValidTemperature, fitLinearTrend, trendValueAt } = require('./alarm-engine.js');
+}
+
+// Count, min, max, mean and (population) standard deviation of the valid temperatures;
+// nulls when there are none
+function temperatureStats(values) {
+    const valid = values.filter(isValidTemperature);
+    if (valid.length === 0) return { count: 0, min: null, max: null, average: null, stdDev: null };
+    // A loop rather than Math.min(...valid): long sessions exceed the argument limit
+    let min = Infinity, max = -Infinity, sum = 0;
+    valid.forEach(value => {
+        if (value < min) min = value;
+        if (value > max) max = value;
+        sum += value;
+    });
+    const average = sum / valid.length;
+    const variance = valid.reduce((total, value) => total + (value - average) ** 2, 0) / valid.length;
+    return { count: valid.length, min, max, average, stdDev: Math.sqrt(variance) };
+}
+
+// Line fitted to the readings of the last `windowSeconds` up to the newest one. Like the
+// rate-of-rise rule it needs three readings spanning half the window before it answers.
+function recentTrend(readings, windowSeconds) {
+    const samples = readings.filter(r => isValidTemperature(r.temperature))
+        .map(r => ({ t: new Date(r.time).getTime(), temp: r.temperature }));
+    return trendOfSamples(samples, windowSeconds);
+}
+
+// recentTrend() for samples ({t, temp}) that are already valid and in time order
+function trendOfSamples(samples, windowSeconds) {
+    if (samples.length === 0) return null;
+
+    const latest = samples[samples.length - 1].t;
+    const recent = samples.filter(sample => latest - sample.t <= windowSeconds * 1000);
+    if (recent.length < 3 || latest - recent[0].t < windowSeconds * 500) return null;
+
+    const trend = fitLinearTrend(recent);
+    return trend && { ...trend, latest };
+}
+
+// --- Running statistics ---
+// temperatureStats() and recentTrend() for one device, kept up to date one reading at a time
+// so a multi-hour session costs no more per reading than a short one. Only the sums and the
+// readings inside the trend window are kept.
+function createLiveStats() {
+    return { readings: 0, count: 0, sum: 0, sumSquares: 0, min: null, max: null, window: [] };
+}
+
+// `reading` is a recorded reading ({time, temperature}); readings must arrive in time order
+function addLiveReading(stats, reading, windowSeconds) {
+    stats.readings++;
+    const value = reading.temperature;
+    if (!isValidTemperature(value)) return;
+
+    stats.count++;
+    stats.sum += value;
+    stats.sumSquares += value * value;
+    if (stats.min === null || value < stats.min) stats.min = value;
+    if (stats.max === null || value > stats.max) stats.max = value;
+
+    const t = new Date(reading.time).getTime();
+    stats.window.push({ t, temp: value });
+    while (t - stats.window[0].t > windowSeconds * 1000) stats.window.shift();
+}
+
+// Same shape as temperatureStats()
+function liveStatsSummary(stats) {
+    if (stats.count === 0) return { count: 0, min: null, max: null, average: null, stdDev: null };
+    const average = stats.sum / stats.count;
+    // Rounding can take E[x²] − mean² a hair below zero for a constant series
+    const variance = Math.max(0, stats.sumSquares / stats.count - average * average);
+    return { count: stats.count, min: stats.min, max: stats.max, average, stdDev: Math.sqrt(variance) };
+}
+
+function liveTrend(stats, windowSeconds) {
+    return trendOfSamples(stats.window, windowSeconds);
+}
+
+// The limit the trend is heading for (the alarm threshold while rising, the low limit while
+// falling) and when it gets there. `at` is not after `trend.latest` once the limit is reached.
+// Null when the temperature is flat or the limit it is heading for is not set.
+function predictLimitCrossing(trend, { threshold, lowThreshold }) {
+    if (!trend || trend.slope === 0) return null;
+    const rising = trend.slope > 0;
+    const limit = rising ? threshold : lowThreshold;
+    if (limit === null || limit === undefined) return null;
+    const at = trend.t0 + (limit - trend.intercept) / trend.slope * 60000;
+    return { kind: rising ? 'threshold' : 'low', limit, at: Math.max(at, trend.latest) };
+}
+
+// Two chart points ({x, y}) from the newest reading along the trend, ending where it meets
+// the limit or `horizonMs` ahead, whichever comes first
+function projectionPoints(trend, crossing, horizonMs) {
+    if (!trend) return [];
+    const end = crossing && crossing.at > trend.latest
+        ? Math.min(crossing.at, trend.latest + horizonMs)
+        : trend.latest + horizonMs;
+    return [trend.latest, end].map(x => ({ x, y: trendValueAt(trend, x) }));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        temperatureStats, recentTrend, createLiveStats, addLiveReading, liveStatsSummary, liveTrend,
+        predictLimitCrossing, projectionPoints
+    };
+}
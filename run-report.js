@@ -0,0 +1,265 @@
+// Run reports: a recording (live or a saved session) summarised with its devices, linked
+// chemicals, threshold changes, alarm events and temperature statistics, and written out as
+// JSON, an Excel workbook (SpreadsheetML 2003, no library needed) or a printable HTML page.
+// Works on plain objects and strings; script.js supplies the chart image and handles files.
+
+// In Node the helpers come from the sibling modules; in the browser they are already globals
+if (typeof module !== 'undefined' && module.exports && typeof isValidTemperature === 'undefined') {
+    var { isValidTemperature } = require('./alarm-engine.js');
+}
+if (typeof module !== 'undefined' && module.exports && typeof toDisplayTemp === 'undefined') {
+    var { toDisplayTemp, toDisplayDelta, temperatureSymbol, formatTemp, formatTempDelta, formatDateTime } = require('./display-units.js');
+}
+if (typeof module !== 'undefined' && module.exports && typeof temperatureStats === 'undefined') {
+    var { temperatureStats } = require('./live-stats.js');
+}
+
+// Chemical fields copied into a run, and which of them are temperatures
+const RUN_CHEMICAL_FIELDS = ['chemName', 'formula', 'casNumber', 'boilingPoint', 'freezingPoint', 'flashPoint',
+    'autoignitionTemp', 'maxSafeTemp', 'hazardLevel'];
+const RUN_CHEMICAL_TEMPERATURES = ['boilingPoint', 'freezingPoint', 'flashPoint', 'autoignitionTemp', 'maxSafeTemp'];
+
+function formatDuration(startIso, endIso) {
+    if (!endIso) return 'In progress';
+    const seconds = Math.round((new Date(endIso) - new Date(startIso)) / 1000);
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const s = seconds % 60;
+    return h > 0 ? `${h}h ${m}m` : m > 0 ? `${m}m ${s}s` : `${s}s`;
+}
+
+// Alarm episodes of the run's devices that were active at some point during the run
+function alarmsDuringRun(alarmLog, deviceIds, startedAt, endedAt) {
+    return alarmLog.filter(entry => deviceIds.includes(entry.deviceId) &&
+        entry.raisedAt <= endedAt && (entry.clearedAt || endedAt) >= startedAt)
+        .sort((a, b) => a.raisedAt.localeCompare(b.raisedAt));
+}
+
+// Everything a report needs, in °C. `session` is a live or stored session (see startSession()
+// in script.js), `readings` its recorded frames, `chemicals` the current database.
+function buildRun({ session, readings, alarmLog, chemicals, now = new Date().toISOString() }) {
+    const endedAt = session.endedAt || now;
+    const devices = session.devices.map(snapshot => {
+        const chemical = chemicals.find(c => c.id === snapshot.chemicalId);
+        const deviceReadings = readings.filter(r => r.deviceId === snapshot.id);
+        return {
+            id: snapshot.id,
+            name: snapshot.name,
+            // The linked chemical as it is now, or just its name if it has since been deleted
+            chemical: chemical ? Object.fromEntries(RUN_CHEMICAL_FIELDS.map(key => [key, chemical[key] ?? null]))
+                : snapshot.chemName ? { chemName: snapshot.chemName } : null,
+            statistics: temperatureStats(deviceReadings.map(r => r.temperature))
+        };
+    });
+
+    return {
+        session: {
+            id: session.id,
+            name: session.name,
+            notes: session.notes || '',
+            startedAt: session.startedAt,
+            endedAt: session.endedAt,
+            durationSeconds: Math.round((new Date(endedAt) - new Date(session.startedAt)) / 1000)
+        },
+        devices,
+        statistics: temperatureStats(readings.map(r => r.temperature)),
+        thresholdHistory: session.thresholdHistory.map(entry => ({ ...entry })),
+        alarms: alarmsDuringRun(alarmLog, devices.map(d => d.id), session.startedAt, endedAt).map(entry => ({
+            device: entry.device,
+            level: entry.level,
+            rules: entry.rules.slice(),
+            raisedAt: entry.raisedAt,
+            clearedAt: entry.clearedAt,
+            peakTemperature: entry.peakTemperature,
+            acknowledgedAt: entry.acknowledgedAt,
+            acknowledgedBy: entry.acknowledgedBy,
+            snoozes: entry.snoozes.map(s => ({ ...s }))
+        })),
+        readings: readings.filter(r => isValidTemperature(r.temperature))
+            .map(({ time, device, temperature, threshold }) => ({ time, device, temperature, threshold })),
+        dataLoss: (session.dataLoss || []).length
+    };
+}
+
+// A copy of `run` with every temperature in `unit` (the standard deviation is a difference)
+function runInUnit(run, unit) {
+    const convert = value => (Number.isFinite(value) ? toDisplayTemp(value, unit) : value);
+    const convertStats = stats => ({
+        ...stats,
+        min: convert(stats.min),
+        max: convert(stats.max),
+        average: convert(stats.average),
+        stdDev: Number.isFinite(stats.stdDev) ? toDisplayDelta(stats.stdDev, unit) : stats.stdDev
+    });
+    const convertChemical = chemical => chemical && {
+        ...chemical,
+        ...Object.fromEntries(RUN_CHEMICAL_TEMPERATURES.filter(key => key in chemical).map(key => [key, convert(chemical[key])]))
+    };
+
+    return {
+        ...run,
+        devices: run.devices.map(device => ({
+            ...device, chemical: convertChemical(device.chemical), statistics: convertStats(device.statistics)
+        })),
+        statistics: convertStats(run.statistics),
+        thresholdHistory: run.thresholdHistory.map(entry => ({
+            ...entry,
+            threshold: convert(entry.threshold),
+            warningThreshold: convert(entry.warningThreshold),
+            lowThreshold: convert(entry.lowThreshold)
+        })),
+        alarms: run.alarms.map(alarm => ({ ...alarm, peakTemperature: convert(alarm.peakTemperature) })),
+        readings: run.readings.map(r => ({ ...r, temperature: convert(r.temperature), threshold: convert(r.threshold) }))
+    };
+}
+
+function buildRunJson(run, unit = 'C') {
+    const file = { exportedAt: new Date().toISOString(), temperatureUnit: temperatureSymbol(unit), ...runInUnit(run, unit) };
+    return JSON.stringify(file, null, 2);
+}
+
+// Escapes text for XML and HTML element content and attribute values
+function escapeMarkup(value) {
+    return String(value).replace(/[&<>"']/g, char =>
+        ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+// --- Excel workbook (SpreadsheetML 2003) ---
+// One worksheet per table; numbers are real number cells so Excel can chart and sum them
+function workbookCell(value, style) {
+    const styleAttr = style ? ` ss:StyleID="${style}"` : '';
+    if (value === null || value === undefined || value === '') return `<Cell${styleAttr}/>`;
+    const type = typeof value === 'number' && Number.isFinite(value) ? 'Number' : 'String';
+    const text = type === 'Number' ? String(Math.round(value * 100) / 100) : escapeMarkup(value);
+    return `<Cell${styleAttr}><Data ss:Type="${type}">${text}</Data></Cell>`;
+}
+
+function workbookSheet(name, header, rows) {
+    const lines = [`<Row>${header.map(text => workbookCell(text, 'header')).join('')}</Row>`]
+        .concat(rows.map(row => `<Row>${row.map(value => workbookCell(value)).join('')}</Row>`));
+    return ` <Worksheet ss:Name="${escapeMarkup(name)}">\n  <Table>\n   ${lines.join('\n   ')}\n  </Table>\n </Worksheet>\n`;
+}
+
+function buildRunWorkbook(run, unit = 'C') {
+    const converted = runInUnit(run, unit);
+    const symbol = temperatureSymbol(unit);
+    const { session, statistics } = converted;
+
+    const summary = [
+        ['Session', session.name],
+        ['Notes', session.notes],
+        ['Started', session.startedAt],
+        ['Ended', session.endedAt || 'In progress'],
+        ['Duration (s)', session.durationSeconds],
+        ['Readings', statistics.count],
+        [`Min (${symbol})`, statistics.min],
+        [`Max (${symbol})`, statistics.max],
+        [`Average (${symbol})`, statistics.average],
+        [`Std Dev (${symbol})`, statistics.stdDev],
+        ['Alarm events', converted.alarms.length],
+        ['Data-loss gaps', converted.dataLoss]
+    ];
+    const devices = converted.devices.map(device => [device.name,
+        device.chemical ? device.chemical.chemName : '', device.chemical ? device.chemical.casNumber : '',
+        device.chemical ? device.chemical.boilingPoint : '', device.chemical ? device.chemical.hazardLevel : '',
+        device.statistics.count, device.statistics.min, device.statistics.max, device.statistics.average,
+        device.statistics.stdDev]);
+    const thresholds = converted.thresholdHistory.map(entry => [entry.time, entry.device, entry.threshold,
+        entry.warningThreshold, entry.lowThreshold, entry.chemName || '']);
+    const alarms = converted.alarms.map(alarm => [alarm.device, alarm.level, alarm.rules.join('; '), alarm.raisedAt,
+        alarm.peakTemperature, alarm.acknowledgedAt || '', alarm.acknowledgedBy || '', alarm.clearedAt || '']);
+    const readings = converted.readings.map(r => [r.time, r.device, r.temperature, r.threshold]);
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n<?mso-application progid="Excel.Sheet"?>\n' +
+        '<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">\n' +
+        ' <Styles><Style ss:ID="header"><Font ss:Bold="1"/></Style></Styles>\n' +
+        workbookSheet('Summary', ['Field', 'Value'], summary) +
+        workbookSheet('Devices', ['Device', 'Chemical', 'CAS Number', `Boiling Point (${symbol})`, 'Hazard Level',
+            'Readings', `Min (${symbol})`, `Max (${symbol})`, `Average (${symbol})`, `Std Dev (${symbol})`], devices) +
+        workbookSheet('Thresholds', ['Time', 'Device', `Alarm (${symbol})`, `Warning (${symbol})`, `Low (${symbol})`, 'Chemical'], thresholds) +
+        workbookSheet('Alarms', ['Device', 'Level', 'Rules', 'Raised', `Peak (${symbol})`, 'Acknowledged', 'Acknowledged By', 'Cleared'], alarms) +
+        workbookSheet('Readings', ['Time', 'Device', `Temperature (${symbol})`, `Threshold (${symbol})`], readings) +
+        '</Workbook>\n';
+}
+
+// --- Printable report ---
+// A standalone HTML page (printed from a hidden frame, or saved as PDF from the print dialog).
+// `prefs` are the display preferences; `chartImage` is a data URL of the chart, if any.
+function buildRunReportHtml(run, { prefs, chartImage = null }) {
+    const temp = value => escapeMarkup(formatTemp(value, prefs));
+    const time = iso => (iso ? escapeMarkup(formatDateTime(iso, prefs)) : '-');
+    const table = (header, rows, empty) => rows.length === 0 ? `<p class="empty">${empty}</p>`
+        : `<table><thead><tr>${header.map(text => `<th>${text}</th>`).join('')}</tr></thead>` +
+          `<tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+    const { session, statistics } = run;
+
+    const summary = [
+        ['Started', time(session.startedAt)],
+        ['Ended', session.endedAt ? time(session.endedAt) : 'In progress'],
+        ['Duration', escapeMarkup(formatDuration(session.startedAt, session.endedAt || new Date().toISOString()))],
+        ['Readings', String(statistics.count)],
+        ['Min / Avg / Max', `${temp(statistics.min)} / ${temp(statistics.average)} / ${temp(statistics.max)}`],
+        ['Standard deviation', escapeMarkup(formatTempDelta(statistics.stdDev, prefs))],
+        ['Alarm events', String(run.alarms.length)],
+        ['Data-loss gaps', String(run.dataLoss)]
+    ];
+    const devices = run.devices.map(device => [
+        escapeMarkup(device.name),
+        device.chemical ? escapeMarkup(device.chemical.chemName + (device.chemical.formula ? ` (${device.chemical.formula})` : '')) : 'Manual threshold',
+        device.chemical && 'boilingPoint' in device.chemical ? temp(device.chemical.boilingPoint) : '-',
+        device.chemical && device.chemical.hazardLevel ? escapeMarkup(device.chemical.hazardLevel) : '-',
+        String(device.statistics.count), temp(device.statistics.min), temp(device.statistics.average), temp(device.statistics.max)
+    ]);
+    const thresholds = run.thresholdHistory.map(entry => [time(entry.time), escapeMarkup(entry.device),
+        temp(entry.threshold), temp(entry.warningThreshold), temp(entry.lowThreshold), escapeMarkup(entry.chemName || '-')]);
+    const alarms = run.alarms.map(alarm => [time(alarm.raisedAt), escapeMarkup(alarm.device),
+        `<span class="level-${escapeMarkup(alarm.level)}">${escapeMarkup(alarm.level.toUpperCase())}</span>`,
+        escapeMarkup(alarm.rules.join(', ')), temp(alarm.peakTemperature),
+        alarm.acknowledgedAt ? `${time(alarm.acknowledgedAt)} by ${escapeMarkup(alarm.acknowledgedBy)}` : '-',
+        alarm.clearedAt ? time(alarm.clearedAt) : 'Active']);
+
+    return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeMarkup(session.name)} – Run Report</title>
+<style>
+    body { font-family: system-ui, sans-serif; color: #1a202c; margin: 24px; font-size: 12px; }
+    h1 { font-size: 20px; margin: 0 0 4px; }
+    h2 { font-size: 14px; margin: 20px 0 6px; border-bottom: 1px solid #cbd5e0; padding-bottom: 2px; }
+    .subtitle, .empty { color: #4a5568; }
+    .notes { white-space: pre-wrap; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #cbd5e0; padding: 3px 6px; text-align: left; vertical-align: top; }
+    th { background: #edf2f7; }
+    .summary th { width: 160px; }
+    .chart { width: 100%; border: 1px solid #cbd5e0; background: #1e293b; } /* chart text is drawn for the dark theme */
+    .level-critical, .level-fault { color: #c53030; font-weight: 600; }
+    .level-warning { color: #b7791f; font-weight: 600; }
+    tr, img { page-break-inside: avoid; }
+</style>
+</head>
+<body>
+<h1>${escapeMarkup(session.name)}</h1>
+<p class="subtitle">Run report generated ${time(new Date().toISOString())} · temperatures in ${escapeMarkup(temperatureSymbol(prefs.unit))}</p>
+${session.notes ? `<p class="notes">${escapeMarkup(session.notes)}</p>` : ''}
+<h2>Summary</h2>
+<table class="summary"><tbody>${summary.map(([label, value]) => `<tr><th>${label}</th><td>${value}</td></tr>`).join('')}</tbody></table>
+${chartImage ? `<h2>Chart</h2>\n<img class="chart" src="${escapeMarkup(chartImage)}" alt="Temperature chart">` : ''}
+<h2>Devices</h2>
+${table(['Device', 'Chemical', 'Boiling Point', 'Hazard', 'Readings', 'Min', 'Average', 'Max'], devices, 'No devices recorded.')}
+<h2>Alarm Timeline</h2>
+${table(['Raised', 'Device', 'Level', 'Rules', 'Peak', 'Acknowledged', 'Cleared'], alarms, 'No alarms during this run.')}
+<h2>Threshold Changes</h2>
+${table(['Time', 'Device', 'Alarm', 'Warning', 'Low', 'Chemical'], thresholds, 'No thresholds recorded.')}
+</body>
+</html>
+`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        formatDuration, alarmsDuringRun, buildRun, runInUnit, buildRunJson, escapeMarkup,
+        buildRunWorkbook, buildRunReportHtml
+    };
+}
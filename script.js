@@ -1,8 +1,3 @@
-let ws; // WebSocket connection
-let buzzerActive = false;
-let buzzerInterval = null; // new variable for continuous alarm
-
-
 // Configuration object
 const defaultConfig = {
     app_title: "ESP32 Chemical Sensor Dashboard",
@@ -15,12 +10,55 @@ const defaultConfig = {
 let temperatureChart;
 let isRecording = false;
 let temperatureData = [];
-let currentThreshold = 100.0;
 let editingChemical = null;
 let chemicals = [];
 let recordCount = 0;
-let isConnected = false;
-let isConnecting = false;
+let devices = []; // Registered ESP32 thermometers, see createDevice()
+let alarmsArmed = true;
+let followLive = true; // keep the newest readings in view while zoomed in
+
+// Connection settings
+const STORAGE_KEYS = {
+    devices: 'esp32.devices',
+    deviceAddress: 'esp32.deviceAddress', // single-device setting from older versions, migrated on load
+    staleTimeout: 'esp32.staleTimeout',
+    chemicalMargins: 'esp32.chemicalMargins',
+    alarmSettings: 'esp32.alarmSettings',
+    alarmLog: 'esp32.alarmLog',
+    alarmsArmed: 'esp32.alarmsArmed',
+    operator: 'esp32.operator',
+    displayPrefs: 'esp32.displayPrefs',
+    notifications: 'esp32.notifications',
+    chemicals: 'esp32.chemicals' // chemical database when neither the Data SDK nor IndexedDB is available
+};
+const DEFAULT_DEVICE_ADDRESS = '192.168.1.200';
+const HOST_PROBE_TIMEOUT = 2000;        // ms to wait for /api/status when checking who serves the page
+const NOTIFICATION_ACK_WINDOW = 60000;  // Acknowledge from a notification covers alarms this tab raises within 60s
+const DEFAULT_THRESHOLD = 100.0;
+const DEFAULT_STALE_TIMEOUT = 5;        // seconds without a temperature frame before the link is stale
+const DEGRADED_FACTOR = 3;              // stale for 3x the timeout → degraded
+const FORCE_RECONNECT_FACTOR = 6;       // stale for 6x the timeout → drop the socket and reconnect
+const RECONNECT_BASE_DELAY = 1000;      // first retry after 1s, doubling each attempt
+const RECONNECT_MAX_DELAY = 30000;      // never wait more than 30s between attempts
+const TEST_REPLY_TIMEOUT = 3000;        // the firmware must answer "test" within 3s
+const DEVICE_SAMPLE_INTERVAL = 1000;    // firmware sends (and records) one reading per second
+const CLOCK_RESYNC_THRESHOLD = 2000;    // re-anchor device time when it drifts 2s from ours
+const RECORD_PAGE_SIZE = 200;           // readings per get_record page (firmware maximum)
+const PROTOCOL_VERSION = 1;             // JSON command protocol spoken by the firmware
+const COMMAND_TIMEOUT = 5000;           // ms to wait for the reply to a JSON command
+const CHART_SAMPLES = 500;              // LTTB target points per series in the visible range
+const DENSE_SERIES_POINTS = 200;        // hide point markers once a series gets this long
+const TREND_WINDOW = 60;                // seconds of recent readings the trend line is fitted to
+const TREND_HORIZON = 10 * 60000;       // the dashed projection reaches at most 10 minutes ahead
+const TREND_ALERT = 2 * 60000;          // highlight predicted limit crossings closer than this
+const LIVE_STATS_INTERVAL = 1000;       // redraw the session statistics at most once a second
+const DEFAULT_WARNING_MARGIN = 10;      // warn this many °C below the linked chemical's alarm point
+const DEFAULT_HIGH_HAZARD_MARGIN = 5;   // High hazard chemicals alarm this many °C before boiling
+const MAX_CHEMICALS = 999;              // record limit of the chemical database
+
+let staleTimeout = DEFAULT_STALE_TIMEOUT;
+let warningMargin = DEFAULT_WARNING_MARGIN;
+let highHazardMargin = DEFAULT_HIGH_HAZARD_MARGIN;
 
 // Data SDK handler
 const dataHandler = {
@@ -28,6 +66,7 @@ const dataHandler = {
         chemicals = data;
         renderChemicalsTable();
         recordCount = data.length;
+        refreshChemicalLinks();
     }
 };
 
@@ -64,13 +103,16 @@ function mapToEditPanelValues(config) {
 
 // Initialize application
 async function initApp() {
-    // Initialize Data SDK
-    if (window.dataSdk) {
-        const initResult = await window.dataSdk.init(dataHandler);
-        if (!initResult.isOk) {
-            console.error("Failed to initialize data SDK");
-        }
-    }
+    // Unit, precision, clock and palette are needed by everything rendered below
+    loadDisplayPrefs();
+
+    // Initialize the chemical database (Data SDK, or a store in the browser)
+    await initChemicalStore();
+
+    // GHS choices in the chemical form, sortable columns in the chemical table
+    populateGhsOptions();
+    document.querySelector('#chemicals-table thead').addEventListener('click', sortChemicalTable);
+    document.getElementById('chemicals-tbody').addEventListener('click', handleChemicalAction);
 
     // Initialize Element SDK
     if (window.elementSdk) {
@@ -85,46 +127,74 @@ async function initApp() {
     // Initialize chart
     initChart();
     
-    // Initialize connection status
-    updateConnectionStatus();
+    // Restore the device registry and render a card per device. The probe for a board
+    // serving the dashboard runs in the background and adds it once it answers
+    const seeded = loadDevices();
+    detectHostDevice().then(hostAddress => addHostDevice(hostAddress, seeded));
+    handleNotificationLink();
+    
+    // Load saved recording sessions
+    document.getElementById('sessions-tbody').addEventListener('click', handleSessionAction);
+    loadSessions();
     
-    // Start temperature simulation
-    startTemperatureSimulation();
+    // Session statistics panel (empty until recording starts)
+    renderLiveStats();
+
+    // Offer the built-in simulator profiles
+    populateSimulatorProfiles();
+
+    // System notifications for when the tab is in the background
+    await initNotifications();
 }
 
 // Chart initialization
 function initChart() {
     const ctx = document.getElementById('temperatureChart').getContext('2d');
+    if (window.ChartZoom) Chart.register(window.ChartZoom);
     temperatureChart = new Chart(ctx, {
         type: 'line',
         data: {
-            labels: [],
-            datasets: [{
-                label: 'Temperature (°C)',
-                data: [],
-                borderColor: '#60a5fa',
-                backgroundColor: 'rgba(96, 165, 250, 0.1)',
-                tension: 0.4,
-                fill: true,
-                borderWidth: 3,
-                pointBackgroundColor: '#60a5fa',
-                pointBorderColor: '#1e40af',
-                pointBorderWidth: 2,
-                pointRadius: 4
-            }, {
-                label: 'Threshold',
-                data: [],
-                borderColor: '#ef4444',
-                backgroundColor: 'transparent',
-                borderDash: [8, 4],
-                pointRadius: 0,
-                borderWidth: 2
-            }]
+            datasets: [] // series are added per device, see getDeviceSeries()
         },
+        plugins: [dataLossPlugin],
         options: {
             responsive: true,
             maintainAspectRatio: false,
+            // Points are pushed pre-parsed as { x: epoch ms, y: °C }, which the decimation plugin requires.
+            // The axis and tooltip convert to the display unit, see applyChartPrefs()
+            parsing: false,
+            normalized: true,
+            animation: false,
+            interaction: {
+                mode: 'nearest',
+                axis: 'x',
+                intersect: false
+            },
             plugins: {
+                // Long runs are downsampled with LTTB so multi-hour sessions stay responsive
+                decimation: {
+                    enabled: true,
+                    algorithm: 'lttb',
+                    samples: CHART_SAMPLES
+                },
+                zoom: {
+                    pan: {
+                        enabled: true,
+                        mode: 'x',
+                        // Panning back through history means the user no longer wants to follow live data
+                        onPanComplete: () => setFollowLive(false)
+                    },
+                    zoom: {
+                        wheel: { enabled: true },
+                        pinch: { enabled: true },
+                        mode: 'x'
+                    }
+                },
+                tooltip: {
+                    callbacks: {
+                        label: ctx => `${ctx.dataset.label}: ${displayTemp(ctx.parsed.y)}`
+                    }
+                },
                 legend: {
                     display: true,
                     labels: {
@@ -150,11 +220,17 @@ function initChart() {
                             weight: '600'
                         }
                     },
+                    // Round steps in the display unit; °C keeps Chart.js's own ticks
+                    afterBuildTicks: axis => {
+                        if (displayPrefs.unit === 'C' || !axis.ticks.length) return;
+                        axis.ticks = displayTicks(axis.min, axis.max, axis.ticks.length, displayPrefs.unit).map(value => ({ value }));
+                    },
                     ticks: {
                         color: '#94a3b8',
                         font: {
                             size: 12
-                        }
+                        },
+                        callback: value => String(Math.round(toDisplayTemp(value, displayPrefs.unit) * 1000) / 1000)
                     },
                     grid: {
                         color: 'rgba(148, 163, 184, 0.2)',
@@ -162,6 +238,10 @@ function initChart() {
                     }
                 },
                 x: {
+                    type: 'time',
+                    time: {
+                        tooltipFormat: 'PPpp'
+                    },
                     title: {
                         display: true,
                         text: 'Time',
@@ -175,7 +255,9 @@ function initChart() {
                         color: '#94a3b8',
                         font: {
                             size: 12
-                        }
+                        },
+                        maxRotation: 0,
+                        autoSkipPadding: 20
                     },
                     grid: {
                         color: 'rgba(148, 163, 184, 0.2)',
@@ -185,406 +267,3454 @@ function initChart() {
             }
         }
     });
+    applyChartPrefs();
 }
 
-// --- Buzzer sound alert ---
-function playBuzzer() {
-    if (buzzerInterval) return; // already buzzing
+// --- Display preferences ---
+// The unit, precision, clock format and palette only change what is shown or typed in:
+// readings, thresholds, chemicals and alarms stay in °C (display-units.js converts).
+let displayPrefs = { ...DEFAULT_DISPLAY_PREFS };
 
-    buzzerInterval = setInterval(() => {
-        try {
-            const audioCtx = new (window.AudioContext || window.webkitAudioContext)();
-            const oscillator = audioCtx.createOscillator();
-            const gainNode = audioCtx.createGain();
-
-            oscillator.connect(gainNode);
-            gainNode.connect(audioCtx.destination);
-
-            oscillator.type = 'square';
-            oscillator.frequency.setValueAtTime(1000, audioCtx.currentTime);
-            gainNode.gain.setValueAtTime(0.2, audioCtx.currentTime);
-
-            oscillator.start();
-            setTimeout(() => {
-                oscillator.stop();
-                audioCtx.close();
-            }, 500); // beep duration 0.5s
-        } catch (err) {
-            console.warn("Buzzer error:", err);
-        }
-    }, 1000); // repeat every 1 second
+function displayTemp(celsius) {
+    return formatTemp(celsius, displayPrefs);
+}
+
+function displayTime(time) {
+    return formatTime(time, displayPrefs);
+}
+
+function displayDateTime(time) {
+    return formatDateTime(time, displayPrefs);
+}
+
+// Number inputs show temperatures in the display unit and are read back into °C
+function tempInputValue(celsius) {
+    return celsius === null || celsius === undefined ? '' : toDisplayTemp(celsius, displayPrefs.unit);
+}
+
+function readTempInput(id) {
+    const value = parseFloat(document.getElementById(id).value);
+    return isNaN(value) ? NaN : fromDisplayTemp(value, displayPrefs.unit);
+}
+
+function paletteColors() {
+    return CHART_PALETTES[displayPrefs.palette];
 }
 
-function stopBuzzer() {
-    if (buzzerInterval) {
-        clearInterval(buzzerInterval);
-        buzzerInterval = null;
+function loadDisplayPrefs() {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(STORAGE_KEYS.displayPrefs)) || {};
+    } catch (err) {
+        console.warn("Ignoring corrupt display preferences:", err);
     }
+    displayPrefs = normalizeDisplayPrefs(saved);
+
+    document.getElementById('pref-unit').value = displayPrefs.unit;
+    document.getElementById('pref-decimals').value = String(displayPrefs.decimals);
+    document.getElementById('pref-time-format').value = displayPrefs.timeFormat;
+    document.getElementById('pref-palette').value = displayPrefs.palette;
+    renderUnitLabels();
 }
 
+function saveDisplayPrefs() {
+    const previousPalette = displayPrefs.palette;
+    displayPrefs = normalizeDisplayPrefs({
+        unit: document.getElementById('pref-unit').value,
+        decimals: parseInt(document.getElementById('pref-decimals').value, 10),
+        timeFormat: document.getElementById('pref-time-format').value,
+        palette: document.getElementById('pref-palette').value
+    });
+    localStorage.setItem(STORAGE_KEYS.displayPrefs, JSON.stringify(displayPrefs));
 
+    // A new palette recolours the registered devices in order
+    if (displayPrefs.palette !== previousPalette) {
+        const { series } = paletteColors();
+        devices.forEach((device, index) => { device.color = series[index % series.length]; });
+        saveDevices();
+    }
+    applyDisplayPrefs();
+    showToast('Display preferences saved', 'success');
+}
 
-// Temperature simulation
-function startTemperatureSimulation() {
-    // ❌ Disable fake simulation
-    console.log("Waiting for ESP32 data...");
+// Re-renders everything that shows a temperature, a time or a device colour
+function applyDisplayPrefs() {
+    renderUnitLabels();
+    applyChartPrefs();
+    renderChemicalMargins();
+    renderAlarmSettings();
+    renderDeviceCards();
+    renderAlarmHistory();
+    renderSessionsTable();
+    if (viewedSession) renderSessionDetails(viewedSession);
+    renderLiveStats();
+    renderChemicalsTable();
 }
 
-// Handle real ESP32 temperature updates
-function handleESP32Data(data) {
-    const now = new Date();
-    const timeLabel = now.toLocaleTimeString();
-    const currentTemp = data.temperature;
+// Labels and table headers mark their unit with <span class="temp-unit">
+function renderUnitLabels() {
+    const symbol = temperatureSymbol(displayPrefs.unit);
+    document.querySelectorAll('.temp-unit').forEach(el => { el.textContent = symbol; });
+}
 
-    document.getElementById('current-temp').textContent = currentTemp.toFixed(1) + '°C';
+function applyChartPrefs() {
+    const { y, x } = temperatureChart.options.scales;
+    const { displayFormats, tooltipFormat } = chartTimeFormats(displayPrefs);
+    y.title.text = `Temperature (${temperatureSymbol(displayPrefs.unit)})`;
+    x.time.displayFormats = displayFormats;
+    x.time.tooltipFormat = tooltipFormat;
 
-    if (isRecording) {
-        temperatureChart.data.labels.push(timeLabel);
-        temperatureChart.data.datasets[0].data.push(currentTemp);
-        temperatureChart.data.datasets[1].data.push(currentThreshold);
-
-        // 🔔 Check threshold and trigger buzzer
-        if (currentTemp >= currentThreshold && !buzzerActive) {
-            buzzerActive = true;
-            playBuzzer();
-            showToast('⚠️ Temperature threshold reached!', 'error');
-        } else if (currentTemp < currentThreshold && buzzerActive) {
-            buzzerActive = false;
-            stopBuzzer();
+    // Restyle in place: the decimation plugin keeps its own reference to each dataset's data
+    temperatureChart.data.datasets.forEach(dataset => {
+        const owner = devices.find(d => d.id === dataset.deviceId) || dataset.owner;
+        const { data, ...style } = createSeries(owner, dataset.kind);
+        Object.assign(dataset, style);
+    });
+    temperatureChart.update('none');
+}
+
+// --- Live statistics & trend ---
+// The stats panel summarises the readings on the chart per device. While recording, a line
+// fitted to the last TREND_WINDOW seconds estimates when each device reaches its alarm (or,
+// when cooling, its low) limit and is drawn as a dashed projection on the chart, so operators
+// can step in before the buzzer goes off. See live-stats.js.
+//
+// Both run on every recorded frame, so they work from running statistics per device instead
+// of scanning temperatureData. Readings are only ever pushed onto temperatureData; when the
+// array is replaced (backfill, opening a run, clearing the chart) the statistics are rebuilt.
+let liveStats = { readings: null, counted: 0, byDevice: new Map() };
+let liveStatsTimer = null;
+let liveStatsStale = false;
+
+function liveDeviceStats() {
+    if (liveStats.readings !== temperatureData || liveStats.counted > temperatureData.length) {
+        liveStats = { readings: temperatureData, counted: 0, byDevice: new Map() };
+    }
+    for (; liveStats.counted < temperatureData.length; liveStats.counted++) {
+        const reading = temperatureData[liveStats.counted];
+        if (!liveStats.byDevice.has(reading.deviceId)) liveStats.byDevice.set(reading.deviceId, createLiveStats());
+        addLiveReading(liveStats.byDevice.get(reading.deviceId), reading, TREND_WINDOW);
+    }
+    return liveStats.byDevice;
+}
+
+function updateDeviceTrend(device) {
+    const stats = liveDeviceStats().get(device.id);
+    device.trend = stats ? liveTrend(stats, TREND_WINDOW) : null;
+    device.limitCrossing = predictLimitCrossing(device.trend, device);
+    getDeviceSeries(device, 'projection').data = projectionPoints(device.trend, device.limitCrossing, TREND_HORIZON);
+}
+
+function clearDeviceTrend(device) {
+    device.trend = null;
+    device.limitCrossing = null;
+    removeDeviceDatasets(device, ['projection']);
+}
+
+function describeLimitCrossing(device) {
+    const { trend, limitCrossing: crossing } = device;
+    if (!trend) return 'Collecting readings...';
+    if (!crossing) return 'Not approaching a limit';
+
+    const limit = crossing.kind === 'threshold' ? 'alarm' : 'low limit';
+    const remaining = crossing.at - trend.latest;
+    if (remaining <= 0) return `At ${limit}`;
+    if (remaining > TREND_HORIZON) return `Over ${TREND_HORIZON / 60000} min to ${limit}`;
+    return `~${formatDuration(new Date(trend.latest).toISOString(), new Date(crossing.at).toISOString())} to ${limit}`;
+}
+
+// Several devices each sending a frame a second would otherwise redraw the table every frame
+function scheduleLiveStats() {
+    if (liveStatsTimer) {
+        liveStatsStale = true;
+        return;
+    }
+    renderLiveStats();
+    liveStatsTimer = setTimeout(() => {
+        liveStatsTimer = null;
+        if (liveStatsStale) {
+            liveStatsStale = false;
+            scheduleLiveStats();
         }
+    }, LIVE_STATS_INTERVAL);
+}
+
+function renderLiveStats() {
+    const tbody = document.getElementById('live-stats-tbody');
+    tbody.innerHTML = '';
 
+    const session = viewedSession || currentSession;
+    const statsByDevice = liveDeviceStats();
+    const rows = (session ? session.devices : [])
+        .map(snapshot => ({ snapshot, running: statsByDevice.get(snapshot.id) }))
+        .filter(row => row.running && row.running.readings > 0);
+    if (rows.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7" style="text-align: center; color: #718096; padding: 24px;">Start recording to see session statistics.</td></tr>';
+        return;
+    }
 
-        if (temperatureChart.data.labels.length > 20) {
-            temperatureChart.data.labels.shift();
-            temperatureChart.data.datasets[0].data.shift();
-            temperatureChart.data.datasets[1].data.shift();
+    rows.forEach(({ snapshot, running }) => {
+        const stats = liveStatsSummary(running);
+        // Predictions only make sense for devices that are being recorded right now
+        const live = !viewedSession && isRecording ? findDevice(snapshot.id) : null;
+        const trend = live ? live.trend : liveTrend(running, TREND_WINDOW);
+
+        const row = document.createElement('tr');
+        [live ? live.name : snapshot.name, displayTemp(stats.min), displayTemp(stats.max), displayTemp(stats.average),
+            formatTempDelta(stats.stdDev, displayPrefs), trend ? `${formatTempDelta(trend.slope, displayPrefs)}/min` : '-',
+            live ? describeLimitCrossing(live) : '-']
+            .forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+        const crossing = live && live.limitCrossing;
+        if (crossing && crossing.at - live.trend.latest <= TREND_ALERT) {
+            row.lastChild.className = 'alarm-level-warning';
         }
+        tbody.appendChild(row);
+    });
+}
 
-        temperatureChart.update('none');
+// --- Buzzer sound alert ---
+// One pattern per alarm level: `beeps` short tones every `period` ms
+const BUZZER_PATTERNS = {
+    warning: { frequency: 800, beeps: 1, beepMs: 200, gapMs: 0, period: 2000 },
+    critical: { frequency: 1000, beeps: 2, beepMs: 250, gapMs: 150, period: 1000 },
+    fault: { frequency: 500, beeps: 3, beepMs: 120, gapMs: 120, period: 1500 }
+};
 
-        temperatureData.push({
-            time: now.toISOString(),
-            temperature: currentTemp,
-            threshold: currentThreshold
-        });
+function playTone(frequency, durationMs) {
+    try {
+        const audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+        const oscillator = audioCtx.createOscillator();
+        const gainNode = audioCtx.createGain();
+
+        oscillator.connect(gainNode);
+        gainNode.connect(audioCtx.destination);
+
+        oscillator.type = 'square';
+        oscillator.frequency.setValueAtTime(frequency, audioCtx.currentTime);
+        gainNode.gain.setValueAtTime(0.2, audioCtx.currentTime);
+
+        oscillator.start();
+        setTimeout(() => {
+            oscillator.stop();
+            audioCtx.close();
+        }, durationMs);
+    } catch (err) {
+        console.warn("Buzzer error:", err);
     }
 }
 
+function playBuzzer(device, level = 'critical') {
+    if (device.buzzerInterval && device.buzzerLevel === level) return; // already buzzing
+    stopBuzzer(device);
 
-// Navigation functions
-function showPage(pageId) {
-    // Hide all pages
-    document.querySelectorAll('.page').forEach(page => {
-        page.classList.remove('active');
-    });
-    
-    // Remove active class from all tabs
-    document.querySelectorAll('.nav-tab').forEach(tab => {
-        tab.classList.remove('active');
-    });
-    
-    // Show selected page and activate tab
-    document.getElementById(pageId).classList.add('active');
-    document.querySelector(`[onclick="showPage('${pageId}')"]`).classList.add('active');
+    const pattern = BUZZER_PATTERNS[level];
+    const beep = () => {
+        for (let i = 0; i < pattern.beeps; i++) {
+            setTimeout(() => playTone(pattern.frequency, pattern.beepMs), i * (pattern.beepMs + pattern.gapMs));
+        }
+    };
+
+    device.buzzerLevel = level;
+    device.buzzerInterval = setInterval(beep, pattern.period);
 }
 
-// Connection functions
-function updateConnectionStatus() {
-    const indicator = document.getElementById('connection-indicator');
-    const text = document.getElementById('connection-text');
-    const btn = document.getElementById('connect-btn');
-    
-    if (isConnecting) {
-        indicator.className = 'status-indicator status-connecting';
-        text.textContent = 'Connecting...';
-        btn.textContent = 'Connecting...';
-        btn.disabled = true;
-    } else if (isConnected) {
-        indicator.className = 'status-indicator status-connected';
-        text.textContent = 'Connected';
-        btn.textContent = 'Disconnect';
-        btn.disabled = false;
-    } else {
-        indicator.className = 'status-indicator status-disconnected';
-        text.textContent = 'Disconnected';
-        btn.textContent = 'Test Connection';
-        btn.disabled = false;
+function stopBuzzer(device) {
+    if (device.buzzerInterval) {
+        clearInterval(device.buzzerInterval);
+        device.buzzerInterval = null;
+    }
+    device.buzzerLevel = null;
+}
+
+// --- Alarm engine ---
+// The rules, debounce/hysteresis and level ranking live in alarm-engine.js; this section
+// owns the settings, feeds it readings and turns level changes into toasts and the buzzer.
+let alarmSettings = { ...DEFAULT_ALARM_SETTINGS };
+
+function loadAlarmSettings() {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(STORAGE_KEYS.alarmSettings)) || {};
+    } catch (err) {
+        console.warn("Ignoring corrupt alarm settings:", err);
     }
+    alarmSettings = { ...DEFAULT_ALARM_SETTINGS, ...saved };
+    renderAlarmSettings();
+
+    // Armed unless someone explicitly disarmed them
+    alarmsArmed = localStorage.getItem(STORAGE_KEYS.alarmsArmed) !== 'false';
+    updateArmedStatus();
 }
 
-async function toggleConnection() {
-    if (isConnected) {
-        // Disconnect
-        if (ws) ws.close();
-        isConnected = false;
-        updateConnectionStatus();
-        showToast('Disconnected from ESP32', 'info');
+function toggleAlarmsArmed() {
+    alarmsArmed = !alarmsArmed;
+    localStorage.setItem(STORAGE_KEYS.alarmsArmed, String(alarmsArmed));
+
+    if (!alarmsArmed) {
+        // Close any open alarm episodes so nothing keeps buzzing while disarmed
+        devices.forEach(resetAlarms);
+        showToast('🔕 Alarms disarmed – no buzzer or alerts until re-armed', 'warning');
     } else {
-        // Connect to ESP32 WebSocket
-        const esp32IP = "192.168.1.200"; // ⬅️ CHANGE THIS to your ESP32’s IP
-        const wsUrl = `ws://${esp32IP}/ws`;
-        isConnecting = true;
-        updateConnectionStatus();
+        showToast('🔔 Alarms armed', 'success');
+    }
+    updateArmedStatus();
+}
 
-        try {
-            ws = new WebSocket(wsUrl);
+function updateArmedStatus() {
+    const indicator = document.getElementById('alarm-armed-indicator');
+    const text = document.getElementById('alarm-armed-text');
+    const btn = document.getElementById('alarm-armed-btn');
 
-            ws.onopen = () => {
-                isConnecting = false;
-                isConnected = true;
-                updateConnectionStatus();
-                showToast('✅ Connected to ESP32!', 'success');
-            };
+    indicator.className = alarmsArmed ? 'status-indicator status-connected' : 'status-indicator status-disconnected';
+    text.textContent = alarmsArmed ? 'Alarms armed' : 'Alarms disarmed';
+    btn.textContent = alarmsArmed ? 'Disarm Alarms' : 'Arm Alarms';
+    btn.className = alarmsArmed ? 'btn btn-secondary' : 'btn btn-danger';
+    document.getElementById('dashboard').classList.toggle('alarms-disarmed', !alarmsArmed);
+}
 
-            ws.onmessage = (event) => {
-                try {
-                    const data = JSON.parse(event.data);
-                    // Example: { temperature: 26.5, time: "2025-10-27T12:00:00Z" }
-                    handleESP32Data(data);
-                } catch (err) {
-                    console.error("Invalid data from ESP32:", event.data);
-                }
-            };
+// Hysteresis and the rise rate are temperature differences, shown in the display unit
+function renderAlarmSettings() {
+    document.getElementById('alarm-hysteresis').value = toDisplayDelta(alarmSettings.hysteresis, displayPrefs.unit);
+    document.getElementById('alarm-debounce').value = alarmSettings.debounceSeconds;
+    document.getElementById('alarm-rise-rate').value = toDisplayDelta(alarmSettings.maxRiseRate, displayPrefs.unit);
+    document.getElementById('alarm-rate-window').value = alarmSettings.rateWindow;
+    document.getElementById('alarm-rate-level').value = alarmSettings.rateLevel;
+    document.getElementById('alarm-under-level').value = alarmSettings.underLevel;
+    document.getElementById('alarm-snooze').value = alarmSettings.snoozeMinutes;
+}
 
-            ws.onclose = () => {
-                isConnected = false;
-                updateConnectionStatus();
-                showToast('🔌 Connection closed', 'warning');
-            };
+function saveAlarmSettings() {
+    const settings = {
+        hysteresis: fromDisplayDelta(parseFloat(document.getElementById('alarm-hysteresis').value), displayPrefs.unit),
+        debounceSeconds: parseFloat(document.getElementById('alarm-debounce').value),
+        maxRiseRate: fromDisplayDelta(parseFloat(document.getElementById('alarm-rise-rate').value), displayPrefs.unit),
+        rateWindow: parseFloat(document.getElementById('alarm-rate-window').value),
+        rateLevel: document.getElementById('alarm-rate-level').value,
+        underLevel: document.getElementById('alarm-under-level').value,
+        snoozeMinutes: parseFloat(document.getElementById('alarm-snooze').value)
+    };
 
-            ws.onerror = (err) => {
-                console.error("WebSocket error:", err);
-                showToast('⚠️ WebSocket connection failed', 'error');
-                isConnecting = false;
-                isConnected = false;
-                updateConnectionStatus();
-            };
-        } catch (e) {
-            console.error(e);
-            showToast('Failed to connect to ESP32', 'error');
-            isConnecting = false;
-            isConnected = false;
-            updateConnectionStatus();
-        }
+    const numbers = [settings.hysteresis, settings.debounceSeconds, settings.maxRiseRate];
+    if (numbers.some(n => isNaN(n) || n < 0) || !(settings.rateWindow >= 5) || !(settings.snoozeMinutes > 0)) {
+        showToast('Alarm settings must be positive numbers (rate window at least 5s)', 'warning');
+        return;
     }
+
+    alarmSettings = settings;
+    localStorage.setItem(STORAGE_KEYS.alarmSettings, JSON.stringify(alarmSettings));
+    showToast('Alarm rules saved', 'success');
 }
 
+function evaluateAlarms(device, temp, time) {
+    evaluateAlarmRules(device, temp, time, alarmSettings);
+    refreshAlarmLevel(device, temp);
+}
 
-// Dashboard functions
-function updateThreshold() {
-    const input = document.getElementById('threshold-input');
-    currentThreshold = parseFloat(input.value);
-    document.getElementById('threshold-display').textContent = currentThreshold.toFixed(1) + '°C';
+function refreshAlarmLevel(device, temp) {
+    const active = activeAlarmRules(device);
+    setAlarmLevel(device, highestAlarmLevel(active, alarmSettings), active, temp);
 }
 
-function toggleRecording() {
-    const btn = document.getElementById('record-btn');
-    isRecording = !isRecording;
-    
-    if (isRecording) {
-        btn.textContent = 'Stop Recording';
-        btn.className = 'btn btn-danger';
-    } else {
-        btn.textContent = 'Start Recording';
-        btn.className = 'btn btn-success';
+function setAlarmLevel(device, level, activeRules, temp) {
+    const previous = device.alarmLevel;
+    device.alarmLevel = level;
+
+    if (level !== 'none') {
+        trackAlarmEvent(device, level, activeRules, temp);
+    }
+
+    if (level !== previous) {
+        if (level === 'none') {
+            closeAlarmEvent(device);
+            clearAlarmSilence(device);
+            showToast(`✅ ${device.name}: alarm cleared`, 'info');
+        } else if (isHigherAlarmLevel(level, previous)) {
+            // Escalation overrides an earlier acknowledgement or snooze
+            clearAlarmSilence(device);
+            showToast(`⚠️ ${device.name}: ${activeRules.map(rule => rule.label).join(', ')}`, ALARM_TOAST_TYPES[level]);
+            notifyAlarm(device, activeRules, temp);
+        }
+        if (level === 'none') closeSystemNotification(`alarm-${device.id}`);
     }
+    if (level !== 'none' && device.acknowledgeUntil > Date.now()) {
+        device.acknowledgeUntil = 0;
+        acknowledgeAlarm(device);
+    }
+
+    updateBuzzer(device);
+    renderAlarmState(device, activeRules);
 }
 
-function clearChart() {
-    temperatureChart.data.labels = [];
-    temperatureChart.data.datasets[0].data = [];
-    temperatureChart.data.datasets[1].data = [];
-    temperatureChart.update();
-    temperatureData = [];
+function resetAlarms(device) {
+    device.alarmRules = {};
+    device.recentSamples = [];
+    device.alarmLevel = 'none';
+    closeAlarmEvent(device);
+    clearAlarmSilence(device);
+    stopBuzzer(device);
+    closeSystemNotification(`alarm-${device.id}`);
+    if (device.card) renderAlarmState(device, []);
 }
 
-function saveData() {
-    if (temperatureData.length === 0) {
-        showToast('No data to save. Start recording first.', 'warning');
-        return;
+// The buzzer sounds for an active alarm unless it has been acknowledged or snoozed
+function updateBuzzer(device) {
+    const silenced = device.alarmAcknowledged || device.snoozeUntil > Date.now();
+    if (device.alarmLevel === 'none' || silenced) {
+        stopBuzzer(device);
+    } else {
+        playBuzzer(device, device.alarmLevel);
     }
-    
-    showToast(`Saved ${temperatureData.length} temperature readings`, 'success');
 }
 
-function exportData() {
-    if (temperatureData.length === 0) {
-        showToast('No data to export. Start recording first.', 'warning');
-        return;
+function renderAlarmState(device, activeRules) {
+    const level = device.alarmLevel;
+    const labels = activeRules.map(rule => rule.label).join(', ');
+    let status = '';
+
+    if (level !== 'none') {
+        status = `${level.toUpperCase()}: ${labels}`;
+        if (device.alarmAcknowledged) {
+            status += ` · acknowledged by ${device.alarmEvent.acknowledgedBy}`;
+        } else if (device.snoozeUntil > Date.now()) {
+            status += ` · snoozed until ${displayTime(device.snoozeUntil)}`;
+        }
     }
-    
-    let csv = 'Time,Temperature (°C),Threshold (°C)\n';
-    temperatureData.forEach(point => {
-        csv += `${point.time},${point.temperature.toFixed(2)},${point.threshold.toFixed(2)}\n`;
-    });
-    
-    const blob = new Blob([csv], { type: 'text/csv' });
-    const url = window.URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `temperature_data_${new Date().toISOString().split('T')[0]}.csv`;
-    a.click();
-    window.URL.revokeObjectURL(url);
-    
-    showToast('Data exported successfully', 'success');
+
+    cardField(device, 'alarm').textContent = status;
+    device.card.classList.toggle('device-warning', level === 'warning');
+    device.card.classList.toggle('device-alarm', level === 'critical' || level === 'fault');
+    device.card.classList.toggle('device-silenced', level !== 'none' && device.buzzerInterval === null);
+    device.card.querySelector('.device-alarm-actions').hidden = level === 'none';
+    updateTabAttention();
 }
 
-// Database functions
-function renderChemicalsTable() {
-    const tbody = document.getElementById('chemicals-tbody');
-    tbody.innerHTML = '';
-    
-    if (chemicals.length === 0) {
-        tbody.innerHTML = '<tr><td colspan="7" style="text-align: center; color: #718096; padding: 40px;">No chemicals added yet. Click "Add Chemical" to get started.</td></tr>';
-        return;
+// --- Alarm acknowledgement & snooze ---
+function getOperatorName() {
+    const input = document.getElementById('operator-name');
+    const name = input.value.trim();
+    if (!name) {
+        showToast('Enter your name under Alarm History before acknowledging', 'warning');
+        input.focus();
+        return null;
     }
-    
-    chemicals.forEach(chemical => {
-        const row = document.createElement('tr');
-        row.innerHTML = `
-            <td>${chemical.chemName}</td>
-            <td>${chemical.formula}</td>
-            <td>${chemical.boilingPoint}°C</td>
-            <td>${chemical.freezingPoint}°C</td>
-            <td><span class="hazard-${chemical.hazardLevel.toLowerCase()}">${chemical.hazardLevel}</span></td>
-            <td>${chemical.notes || '-'}</td>
-            <td>
-                <button class="btn btn-primary" style="margin-right: 8px; padding: 6px 12px; font-size: 12px;" onclick="editChemical('${chemical.__backendId}')">Edit</button>
-                <button class="btn btn-danger" style="padding: 6px 12px; font-size: 12px;" onclick="deleteChemical('${chemical.__backendId}')">Delete</button>
-            </td>
-        `;
-        tbody.appendChild(row);
-    });
+    localStorage.setItem(STORAGE_KEYS.operator, name);
+    return name;
 }
 
-function filterTable() {
-    const searchTerm = document.getElementById('search-input').value.toLowerCase();
-    const rows = document.querySelectorAll('#chemicals-tbody tr');
-    
-    rows.forEach(row => {
-        const text = row.textContent.toLowerCase();
-        row.style.display = text.includes(searchTerm) ? '' : 'none';
-    });
+function acknowledgeAlarm(device) {
+    if (device.alarmLevel === 'none' || device.alarmAcknowledged) return;
+    const operator = getOperatorName();
+    if (!operator) return;
+
+    device.alarmAcknowledged = true;
+    device.alarmEvent.acknowledgedAt = new Date().toISOString();
+    device.alarmEvent.acknowledgedBy = operator;
+    saveAlarmLog();
+
+    updateBuzzer(device);
+    renderAlarmState(device, activeAlarmRules(device));
+    closeSystemNotification(`alarm-${device.id}`);
+    // Silence the device's own output too; it may have no alarm if only our rules tripped
+    sendRequest(device, 'ack_alarm').catch(() => {});
+    showToast(`${device.name}: alarm acknowledged by ${operator}`, 'info');
 }
 
-function openAddModal() {
-    editingChemical = null;
-    document.getElementById('modal-title').textContent = 'Add Chemical';
-    document.getElementById('chemical-form').reset();
-    document.getElementById('chemical-modal').style.display = 'block';
+function snoozeAlarm(device) {
+    if (device.alarmLevel === 'none') return;
+    const operator = getOperatorName();
+    if (!operator) return;
+
+    const minutes = alarmSettings.snoozeMinutes;
+    device.snoozeUntil = Date.now() + minutes * 60000;
+    device.alarmEvent.snoozes.push({ at: new Date().toISOString(), by: operator, minutes });
+    saveAlarmLog();
+
+    // Re-check once the snooze runs out so the buzzer comes back if the alarm is still active
+    clearTimeout(device.snoozeTimer);
+    device.snoozeTimer = setTimeout(() => {
+        device.snoozeUntil = 0;
+        updateBuzzer(device);
+        renderAlarmState(device, activeAlarmRules(device));
+    }, minutes * 60000);
+
+    updateBuzzer(device);
+    renderAlarmState(device, activeAlarmRules(device));
+    sendRequest(device, 'ack_alarm', { minutes }).catch(() => {});
+    showToast(`${device.name}: alarm snoozed for ${minutes} min`, 'info');
 }
 
-function editChemical(id) {
-    editingChemical = chemicals.find(c => c.__backendId === id);
-    if (!editingChemical) return;
-    
-    document.getElementById('modal-title').textContent = 'Edit Chemical';
-    document.getElementById('chem-name').value = editingChemical.chemName;
-    document.getElementById('chem-formula').value = editingChemical.formula;
-    document.getElementById('boiling-point').value = editingChemical.boilingPoint;
-    document.getElementById('freezing-point').value = editingChemical.freezingPoint;
-    document.getElementById('hazard-level').value = editingChemical.hazardLevel;
-    document.getElementById('chem-notes').value = editingChemical.notes || '';
-    document.getElementById('chemical-modal').style.display = 'block';
+function clearAlarmSilence(device) {
+    device.alarmAcknowledged = false;
+    device.snoozeUntil = 0;
+    clearTimeout(device.snoozeTimer);
+    device.snoozeTimer = null;
 }
 
-async function deleteChemical(id) {
-    const chemical = chemicals.find(c => c.__backendId === id);
-    if (!chemical) return;
-    
-    // Create inline confirmation
-    const row = event.target.closest('tr');
-    const deleteBtn = event.target;
-    const originalText = deleteBtn.textContent;
-    
-    deleteBtn.textContent = 'Confirm Delete?';
-    deleteBtn.style.background = '#c53030';
-    
-    // Create cancel button
-    const cancelBtn = document.createElement('button');
-    cancelBtn.textContent = 'Cancel';
-    cancelBtn.className = 'btn btn-secondary';
-    cancelBtn.style.marginLeft = '4px';
-    cancelBtn.style.padding = '6px 12px';
-    cancelBtn.style.fontSize = '12px';
-    
-    deleteBtn.parentNode.appendChild(cancelBtn);
-    
-    // Handle confirmation
-    const confirmDelete = async () => {
-        if (window.dataSdk) {
-            const result = await window.dataSdk.delete(chemical);
-            if (result.isOk) {
-                showToast('Chemical deleted successfully', 'success');
-            } else {
-                showToast('Failed to delete chemical', 'error');
-            }
-        }
-        cleanup();
-    };
-    
-    const cleanup = () => {
-        deleteBtn.textContent = originalText;
-        deleteBtn.style.background = '#e53e3e';
-        if (cancelBtn.parentNode) {
-            cancelBtn.parentNode.removeChild(cancelBtn);
-        }
-        deleteBtn.onclick = () => deleteChemical(id);
-    };
-    
-    deleteBtn.onclick = confirmDelete;
-    cancelBtn.onclick = cleanup;
-    
-    // Auto-cancel after 5 seconds
-    setTimeout(cleanup, 5000);
+// --- System notifications ---
+// Browsers throttle timers and audio in background tabs, so while the dashboard is hidden
+// (or the window is unfocused) alarms, sensor faults and connection loss also raise a system
+// notification. They go through the service worker (sw.js) so they can carry Acknowledge /
+// Open actions; if it cannot be registered a click just brings the tab back.
+const TAB_FLASH_INTERVAL = 1000; // ms between the normal and the alarm title/favicon
+const ALARM_FAVICON = 'data:image/svg+xml,' + encodeURIComponent(
+    "<svg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 100 100'><circle cx='50' cy='50' r='48' fill='#dc2626'/>" +
+    "<text x='50' y='74' font-size='70' font-family='sans-serif' font-weight='bold' text-anchor='middle' fill='#fff'>!</text></svg>");
+
+let notificationsEnabled = false;
+let notificationRegistration = null;
+const pageNotifications = new Map(); // tag → Notification shown without the service worker
+const tabAttention = { timer: null, flashOn: false, title: document.title, favicon: document.getElementById('favicon').href };
+
+function notificationPermission() {
+    return 'Notification' in window ? Notification.permission : 'unsupported';
 }
 
-function closeModal() {
-    document.getElementById('chemical-modal').style.display = 'none';
-    editingChemical = null;
+async function initNotifications() {
+    notificationsEnabled = localStorage.getItem(STORAGE_KEYS.notifications) === 'true' && notificationPermission() === 'granted';
+
+    // Service workers need a secure context (https or localhost)
+    if ('serviceWorker' in navigator && window.isSecureContext) {
+        try {
+            notificationRegistration = await navigator.serviceWorker.register('sw.js');
+            navigator.serviceWorker.addEventListener('message', handleNotificationAction);
+        } catch (err) {
+            console.warn("Service worker unavailable, notifications will have no actions:", err);
+        }
+    }
+    renderNotificationStatus();
 }
 
-// Form submission
-document.getElementById('chemical-form').addEventListener('submit', async function(e) {
-    e.preventDefault();
-    
-    if (recordCount >= 999) {
-        showToast('Maximum limit of 999 chemicals reached. Please delete some chemicals first.', 'error');
+async function toggleNotifications() {
+    if (notificationsEnabled) {
+        notificationsEnabled = false;
+        localStorage.setItem(STORAGE_KEYS.notifications, 'false');
+        renderNotificationStatus();
+        showToast('System notifications turned off', 'info');
         return;
     }
-    
-    const formData = {
-        id: editingChemical ? editingChemical.id : Date.now().toString(),
-        chemName: document.getElementById('chem-name').value,
-        formula: document.getElementById('chem-formula').value,
-        boilingPoint: parseFloat(document.getElementById('boiling-point').value),
-        freezingPoint: parseFloat(document.getElementById('freezing-point').value),
-        hazardLevel: document.getElementById('hazard-level').value,
-        notes: document.getElementById('chem-notes').value
-    };
-    
-    if (window.dataSdk) {
-        let result;
-        if (editingChemical) {
-            result = await window.dataSdk.update({ ...formData, __backendId: editingChemical.__backendId });
-        } else {
-            result = await window.dataSdk.create(formData);
-        }
-        
-        if (result.isOk) {
-            showToast(editingChemical ? 'Chemical updated successfully' : 'Chemical added successfully', 'success');
-            closeModal();
-        } else {
-            showToast('Failed to save chemical', 'error');
-        }
+
+    if (notificationPermission() === 'unsupported') {
+        showToast('Notifications are not available here (they need https or localhost)', 'warning');
+        return;
+    }
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') {
+        showToast('Notifications are blocked – allow them in the browser\'s site settings', 'warning');
+        renderNotificationStatus();
+        return;
     }
-});
 
-// Toast notification function
-function showToast(message, type = 'info') {
-    const toast = document.createElement('div');
-    toast.style.cssText = `
-        position: fixed;
+    notificationsEnabled = true;
+    localStorage.setItem(STORAGE_KEYS.notifications, 'true');
+    renderNotificationStatus();
+    showToast('🔔 System notifications on – alarms will notify you while this tab is in the background', 'success');
+}
+
+function renderNotificationStatus() {
+    const btn = document.getElementById('notifications-btn');
+    btn.textContent = notificationsEnabled ? 'Notifications: On' : 'Notifications: Off';
+    btn.className = notificationsEnabled ? 'btn btn-success' : 'btn btn-secondary';
+    btn.title = notificationPermission() === 'denied' ? 'Blocked in the browser\'s site settings' : '';
+}
+
+// `tag` replaces an earlier notification about the same thing instead of stacking them
+function showSystemNotification(tag, title, body, { deviceId, acknowledge = false } = {}) {
+    if (!notificationsEnabled || (!document.hidden && document.hasFocus())) return;
+
+    const options = { body, tag, renotify: true, requireInteraction: acknowledge, icon: ALARM_FAVICON, data: { deviceId } };
+    if (notificationRegistration) {
+        options.actions = (acknowledge ? [{ action: 'acknowledge', title: 'Acknowledge' }] : [])
+            .concat({ action: 'open', title: 'Open' });
+        notificationRegistration.showNotification(title, options)
+            .catch(err => console.warn("Could not show notification:", err));
+    } else {
+        const notification = new Notification(title, options);
+        notification.onclick = () => {
+            window.focus();
+            notification.close();
+        };
+        pageNotifications.set(tag, notification);
+    }
+}
+
+function closeSystemNotification(tag) {
+    if (pageNotifications.has(tag)) {
+        pageNotifications.get(tag).close();
+        pageNotifications.delete(tag);
+    }
+    if (notificationRegistration) {
+        notificationRegistration.getNotifications({ tag })
+            .then(list => list.forEach(notification => notification.close()))
+            .catch(() => {});
+    }
+}
+
+function notifyAlarm(device, activeRules, temp) {
+    const detail = device.sensorFault ? ` (${device.sensorFault})` : temp === null ? '' : ` at ${displayTemp(temp)}`;
+    showSystemNotification(`alarm-${device.id}`, `⚠️ ${device.alarmLevel.toUpperCase()}: ${device.name}`,
+        activeRules.map(rule => rule.label).join(', ') + detail, { deviceId: device.id, acknowledge: true });
+}
+
+function notifyConnectionLost(device, detail) {
+    showSystemNotification(`connection-${device.id}`, `🔌 ${device.name}: connection lost`, detail, { deviceId: device.id });
+}
+
+// Acknowledge / Open clicked on a notification, relayed by sw.js
+function handleNotificationAction(event) {
+    const { type, action, deviceId } = event.data || {};
+    if (type !== 'notification-action') return;
+    runNotificationAction(action, deviceId);
+}
+
+// With no dashboard tab open, sw.js opens one with ?notification=<action>&device=<id>.
+// The new tab starts disconnected, so it connects the device first.
+function handleNotificationLink() {
+    const params = new URLSearchParams(location.search);
+    const action = params.get('notification');
+    if (!action) return;
+    history.replaceState(null, '', location.pathname + location.hash);
+
+    const device = devices.find(d => d.id === params.get('device'));
+    if (device && device.state === 'disconnected') connect(device);
+    runNotificationAction(action, params.get('device'));
+}
+
+function runNotificationAction(action, deviceId) {
+    showPage('dashboard');
+    const device = devices.find(d => d.id === deviceId);
+    if (!device) return;
+    if (action === 'acknowledge') {
+        if (device.alarmLevel !== 'none') {
+            acknowledgeAlarm(device);
+        } else {
+            // Not raised here yet (a freshly opened tab): acknowledge it when it is
+            device.acknowledgeUntil = Date.now() + NOTIFICATION_ACK_WINDOW;
+        }
+    }
+    if (device.card) device.card.scrollIntoView({ block: 'center' });
+}
+
+// The tab title and favicon flash while any alarm would sound the buzzer
+// (active, not acknowledged and not snoozed)
+function isAlarmSounding(device) {
+    return device.alarmLevel !== 'none' && !device.alarmAcknowledged && !(device.snoozeUntil > Date.now());
+}
+
+function updateTabAttention() {
+    const sounding = devices.some(isAlarmSounding);
+    if (sounding && !tabAttention.timer) {
+        tabAttention.timer = setInterval(() => {
+            tabAttention.flashOn = !tabAttention.flashOn;
+            renderTabAttention();
+        }, TAB_FLASH_INTERVAL);
+    } else if (!sounding && tabAttention.timer) {
+        clearInterval(tabAttention.timer);
+        tabAttention.timer = null;
+        tabAttention.flashOn = false;
+        renderTabAttention();
+    }
+}
+
+function renderTabAttention() {
+    const alarming = devices.find(isAlarmSounding);
+    const flash = tabAttention.flashOn && alarming;
+    document.title = flash ? `⚠️ ${alarming.alarmLevel.toUpperCase()} – ${alarming.name}` : tabAttention.title;
+    document.getElementById('favicon').href = flash ? ALARM_FAVICON : tabAttention.favicon;
+}
+
+// --- Alarm history ---
+// Every alarm episode is one log entry, from the first rule raised until all rules clear.
+// The log lives in localStorage so it survives reloads and can be exported for audits.
+const MAX_ALARM_LOG_ENTRIES = 1000;
+let alarmLog = [];
+
+function loadAlarmLog() {
+    try {
+        alarmLog = JSON.parse(localStorage.getItem(STORAGE_KEYS.alarmLog)) || [];
+    } catch (err) {
+        console.warn("Ignoring corrupt alarm log:", err);
+        alarmLog = [];
+    }
+
+    // Episodes still open when the page was closed can no longer be followed
+    alarmLog.forEach(entry => {
+        if (!entry.clearedAt && !entry.interrupted) entry.interrupted = true;
+    });
+    saveAlarmLog();
+
+    document.getElementById('operator-name').value = localStorage.getItem(STORAGE_KEYS.operator) || '';
+    renderAlarmHistory();
+}
+
+function saveAlarmLog() {
+    if (alarmLog.length > MAX_ALARM_LOG_ENTRIES) {
+        alarmLog = alarmLog.slice(-MAX_ALARM_LOG_ENTRIES);
+    }
+    localStorage.setItem(STORAGE_KEYS.alarmLog, JSON.stringify(alarmLog));
+}
+
+function trackAlarmEvent(device, level, activeRules, temp) {
+    let entry = device.alarmEvent;
+    let changed = false;
+
+    if (!entry) {
+        entry = device.alarmEvent = {
+            id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+            deviceId: device.id,
+            device: device.name,
+            level,
+            rules: [],
+            raisedAt: new Date().toISOString(),
+            peakTemperature: temp,
+            acknowledgedAt: null,
+            acknowledgedBy: null,
+            snoozes: [],
+            clearedAt: null
+        };
+        alarmLog.push(entry);
+        changed = true;
+    }
+
+    if (isHigherAlarmLevel(level, entry.level)) {
+        entry.level = level;
+        changed = true;
+    }
+    activeRules.forEach(rule => {
+        if (!entry.rules.includes(rule.label)) {
+            entry.rules.push(rule.label);
+            changed = true;
+        }
+    });
+    if (temp !== null && (entry.peakTemperature === null || temp > entry.peakTemperature)) {
+        entry.peakTemperature = temp;
+        changed = true;
+    }
+
+    if (changed) {
+        saveAlarmLog();
+        renderAlarmHistory();
+    }
+}
+
+function closeAlarmEvent(device) {
+    if (!device.alarmEvent) return;
+    device.alarmEvent.clearedAt = new Date().toISOString();
+    device.alarmEvent = null;
+    saveAlarmLog();
+    renderAlarmHistory();
+}
+
+function formatLogTime(iso) {
+    return iso ? displayDateTime(iso) : '-';
+}
+
+function renderAlarmHistory() {
+    const tbody = document.getElementById('alarm-history-tbody');
+    tbody.innerHTML = '';
+
+    if (alarmLog.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7" style="text-align: center; color: #718096; padding: 24px;">No alarms recorded yet.</td></tr>';
+        return;
+    }
+
+    // Newest first
+    alarmLog.slice().reverse().forEach(entry => {
+        const snoozes = entry.snoozes.map(s => `${s.minutes} min by ${s.by} at ${displayTime(s.at)}`).join('; ');
+        const cleared = entry.clearedAt ? formatLogTime(entry.clearedAt) : entry.interrupted ? 'Interrupted (dashboard closed)' : 'Active';
+        const acknowledged = entry.acknowledgedAt ? `${formatLogTime(entry.acknowledgedAt)} by ${entry.acknowledgedBy}` : '-';
+
+        const row = document.createElement('tr');
+        [entry.device, entry.level.toUpperCase(), entry.rules.join(', '), formatLogTime(entry.raisedAt),
+            displayTemp(entry.peakTemperature), acknowledged + (snoozes ? ` (snoozed ${snoozes})` : ''), cleared]
+            .forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+        row.children[1].className = `alarm-level-${entry.level}`;
+        tbody.appendChild(row);
+    });
+}
+
+function exportAlarmLog() {
+    if (alarmLog.length === 0) {
+        showToast('No alarms to export', 'warning');
+        return;
+    }
+
+    downloadFile(buildAlarmLogCsv(alarmLog, displayPrefs.unit), `alarm_log_${new Date().toISOString().split('T')[0]}.csv`, 'text/csv');
+    showToast('Alarm log exported', 'success');
+}
+
+
+
+// Temperature simulation: adds a simulated ESP32 and connects to it
+function startTemperatureSimulation() {
+    const profile = document.getElementById('sim-profile').value;
+    const label = SIMULATOR_PROFILES[profile].label;
+
+    // Unique name and address per simulated board
+    const nameFor = n => (n > 1 ? `${label} (sim ${n})` : `${label} (sim)`);
+    const addressFor = n => (n > 1 ? `sim:${profile}#${n}` : `sim:${profile}`);
+    let n = 1;
+    while (devices.some(d => d.name.toLowerCase() === nameFor(n).toLowerCase() || d.address === addressFor(n))) n++;
+
+    const device = createDevice({ name: nameFor(n), address: addressFor(n) });
+    devices.push(device);
+    saveDevices();
+    renderDeviceCards();
+    connect(device);
+    showToast(`Added simulated device ${device.name}`, 'success');
+}
+
+// Handle real ESP32 temperature updates
+function handleESP32Data(device, data) {
+    // Stamped with the device clock when the firmware sends its uptime
+    const now = new Date(deviceFrameTime(device, data));
+    const currentTemp = data.temperature;
+
+    markFrameReceived(device);
+    trackSequence(device, data, now.getTime());
+    device.currentTemp = currentTemp;
+    if (device.sensorFault) clearSensorFault(device);
+
+    renderSensorReading(device);
+
+    // 🔔 Alarms run on every frame, whether or not we are recording
+    if (alarmsArmed) {
+        evaluateAlarms(device, currentTemp, now.getTime());
+    }
+
+    // Recording only decides what is charted and saved
+    if (isRecording) {
+        noteSessionDevice(device);
+        const x = now.getTime();
+        getDeviceSeries(device, 'temperature').data.push({ x, y: currentTemp });
+        getDeviceSeries(device, 'threshold').data.push({ x, y: device.threshold });
+
+        // Boiling/freezing limit lines of the linked chemical
+        const chemical = getLinkedChemical(device);
+        if (chemical) {
+            getDeviceSeries(device, 'boiling').data.push({ x, y: chemical.boilingPoint });
+            getDeviceSeries(device, 'freezing').data.push({ x, y: chemical.freezingPoint });
+        }
+
+        temperatureData.push({
+            time: now.toISOString(),
+            deviceId: device.id,
+            device: device.name,
+            temperature: currentTemp,
+            threshold: device.threshold,
+            seq: data.seq,
+            uptime: data.uptime,
+            boot: data.boot
+        });
+
+        updateDeviceTrend(device);
+        scheduleLiveStats();
+        refreshChart();
+    }
+}
+
+// --- Sensor faults ---
+// isValidTemperature() (alarm-engine.js) decides what counts as a fault.
+// Fault frames keep the clock and sequence tracking going but never reach the chart or recording
+function handleSensorFault(device, data) {
+    const now = deviceFrameTime(device, data);
+    markFrameReceived(device);
+    trackSequence(device, data, now);
+
+    const reason = data.error || `invalid reading (${data.temperature})`;
+    const isNew = !device.sensorFault;
+    device.sensorFault = reason;
+    device.currentTemp = null;
+    renderSensorReading(device);
+
+    if (alarmsArmed) refreshAlarmLevel(device, null);
+    if (isNew) {
+        console.warn(`${device.name} sensor fault:`, reason);
+        // The alarm toast covers it unless alarms are off or a critical alarm outranks it
+        if (device.alarmLevel !== 'fault') showToast(`⚠️ ${device.name}: sensor fault (${reason})`, 'error');
+    }
+}
+
+function clearSensorFault(device) {
+    device.sensorFault = null;
+    showToast(`✅ ${device.name}: sensor readings are back`, 'success');
+    // The temperature rules re-evaluate the level on this frame
+}
+
+function renderSensorReading(device) {
+    if (!device.card) return;
+    const field = cardField(device, 'temp');
+    field.classList.toggle('sensor-fault', Boolean(device.sensorFault));
+    field.title = device.sensorFault || '';
+    if (device.sensorFault) {
+        field.textContent = 'Sensor fault';
+    } else if (device.currentTemp !== null) {
+        field.textContent = displayTemp(device.currentTemp);
+    }
+}
+
+// --- Device clock & frame sequence ---
+// Frames carry the device uptime (ms) and a sequence number. Uptime is mapped to wall-clock
+// time through a per-device offset; network latency only ever delays a frame, so the smallest
+// offset seen is the best estimate. Older firmware without uptime falls back to arrival time.
+function deviceFrameTime(device, data) {
+    const received = Date.now();
+    if (typeof data.uptime !== 'number') return received;
+
+    // A new boot counter, or uptime/sequence going backwards, means the board restarted
+    const rebooted = (device.lastBoot !== null && data.boot !== undefined && data.boot !== device.lastBoot) ||
+        (device.lastUptime !== null && data.uptime < device.lastUptime) ||
+        (device.lastSeq !== null && typeof data.seq === 'number' && data.seq < device.lastSeq);
+    if (rebooted) {
+        device.clockOffset = null;
+        device.lastSeq = null;
+        showToast(`🔄 ${device.name} restarted`, 'warning');
+    }
+    device.lastUptime = data.uptime;
+    if (data.boot !== undefined) device.lastBoot = data.boot;
+
+    const offset = received - data.uptime;
+    // Re-anchor if the clocks have drifted far apart
+    if (device.clockOffset === null || offset < device.clockOffset || offset - device.clockOffset > CLOCK_RESYNC_THRESHOLD) {
+        device.clockOffset = offset;
+    }
+    // Kept per boot so readings recorded before a restart can still be placed
+    if (data.boot !== undefined) device.bootOffsets[data.boot] = device.clockOffset;
+    return device.clockOffset + data.uptime;
+}
+
+// A jump in the sequence number means frames were dropped between the two readings
+function trackSequence(device, data, time) {
+    if (typeof data.seq !== 'number') return;
+
+    if (device.lastSeq !== null && data.seq > device.lastSeq + 1) {
+        const missing = data.seq - device.lastSeq - 1;
+        device.droppedFrames += missing;
+        renderDataLoss(device);
+
+        if (isRecording && currentSession) {
+            currentSession.dataLoss.push({
+                deviceId: device.id,
+                device: device.name,
+                start: device.lastFrameTime,
+                end: time,
+                fromSeq: device.lastSeq + 1,
+                toSeq: data.seq - 1,
+                missing
+            });
+            updateDataLossIndicator();
+        }
+    }
+
+    device.lastSeq = data.seq;
+    device.lastFrameTime = time;
+}
+
+function renderDataLoss(device) {
+    if (!device.card) return;
+    const field = cardField(device, 'data-loss');
+    field.hidden = device.droppedFrames === 0;
+    field.textContent = `⚠ ${device.droppedFrames} frame${device.droppedFrames === 1 ? '' : 's'} lost`;
+}
+
+// Data-loss gaps of whatever the chart is showing
+function chartDataLoss() {
+    if (viewedSession) return viewedSession.dataLoss || [];
+    return currentSession ? currentSession.dataLoss : [];
+}
+
+function updateDataLossIndicator() {
+    const gaps = chartDataLoss();
+    const indicator = document.getElementById('data-loss-indicator');
+    const missing = gaps.reduce((sum, gap) => sum + gap.missing, 0);
+    indicator.hidden = missing === 0;
+    indicator.textContent = `⚠ ${missing} frame${missing === 1 ? '' : 's'} missing in ${gaps.length} gap${gaps.length === 1 ? '' : 's'}`;
+}
+
+// Shades the time ranges with dropped frames behind the data
+const dataLossPlugin = {
+    id: 'dataLoss',
+    beforeDatasetsDraw(chart) {
+        const gaps = chartDataLoss();
+        if (gaps.length === 0) return;
+
+        const { ctx, chartArea, scales: { x } } = chart;
+        ctx.save();
+        ctx.fillStyle = 'rgba(239, 68, 68, 0.15)';
+        gaps.forEach(gap => {
+            const left = Math.max(x.getPixelForValue(gap.start), chartArea.left);
+            const right = Math.min(x.getPixelForValue(gap.end), chartArea.right);
+            if (right > left) {
+                ctx.fillRect(left, chartArea.top, right - left, chartArea.bottom - chartArea.top);
+            }
+        });
+        ctx.restore();
+    }
+};
+
+// Chart series
+// Each device owns a temperature series, a dashed threshold series and, when a chemical
+// is linked, dotted boiling/freezing limit lines — all in the device colour
+function seriesLabel(device, kind) {
+    const chemical = getLinkedChemical(device);
+    switch (kind) {
+        case 'temperature': return `${device.name} (${temperatureSymbol(displayPrefs.unit)})`;
+        case 'threshold': return `${device.name} threshold`;
+        case 'boiling': return `${device.name} – ${chemical ? chemical.chemName : ''} boiling point`;
+        case 'freezing': return `${device.name} – ${chemical ? chemical.chemName : ''} freezing point`;
+        case 'projection': return `${device.name} trend`;
+    }
+}
+
+function createSeries(device, kind) {
+    const base = {
+        deviceId: device.id,
+        owner: { id: device.id, name: device.name, color: device.color, chemicalId: device.chemicalId },
+        kind,
+        label: seriesLabel(device, kind),
+        data: [],
+        borderColor: device.color,
+        backgroundColor: 'transparent',
+        pointRadius: 0,
+        borderWidth: 2
+    };
+
+    if (kind === 'temperature') {
+        return {
+            ...base,
+            backgroundColor: device.color + '1a',
+            tension: 0.4,
+            fill: false,
+            borderWidth: 3,
+            pointBackgroundColor: device.color,
+            pointBorderColor: '#1e293b',
+            pointBorderWidth: 2,
+            pointRadius: ctx => ctx.dataset.data.length > DENSE_SERIES_POINTS ? 0 : 4
+        };
+    }
+    if (kind === 'threshold') {
+        return { ...base, borderDash: [8, 4] };
+    }
+    if (kind === 'projection') {
+        return { ...base, borderColor: device.color + 'b3', borderDash: [3, 5] };
+    }
+    // boiling / freezing limits
+    return { ...base, borderColor: paletteColors()[kind], borderDash: [2, 4], borderWidth: 1.5 };
+}
+
+function getDeviceSeries(device, kind) {
+    const datasets = temperatureChart.data.datasets;
+    let series = datasets.find(d => d.deviceId === device.id && d.kind === kind);
+    if (!series) {
+        series = createSeries(device, kind);
+        datasets.push(series);
+    }
+    return series;
+}
+
+function removeDeviceDatasets(device, kinds) {
+    temperatureChart.data.datasets = temperatureChart.data.datasets.filter(d =>
+        d.deviceId !== device.id || (kinds && !kinds.includes(d.kind)));
+    temperatureChart.update('none');
+}
+
+function relabelDeviceDatasets(device) {
+    temperatureChart.data.datasets.forEach(d => {
+        if (d.deviceId === device.id) d.label = seriesLabel(device, d.kind);
+    });
+    temperatureChart.update('none');
+}
+
+// Chart view: the chart keeps the whole session; wheel/pinch zooms and dragging pans the time axis
+function latestChartTime() {
+    // The trend projection reaches into the future; following it would hide the newest reading
+    return temperatureChart.data.datasets.filter(dataset => dataset.kind !== 'projection').reduce((latest, dataset) => {
+        const last = dataset.data[dataset.data.length - 1];
+        return last && last.x > latest ? last.x : latest;
+    }, 0);
+}
+
+function isChartZoomed() {
+    return typeof temperatureChart.isZoomedOrPanned === 'function' && temperatureChart.isZoomedOrPanned();
+}
+
+function refreshChart() {
+    // When zoomed in and following, slide the window so the newest reading stays at the right edge
+    if (followLive && isChartZoomed()) {
+        const { min, max } = temperatureChart.scales.x;
+        const latest = latestChartTime();
+        if (latest > max) {
+            temperatureChart.options.scales.x.min = latest - (max - min);
+            temperatureChart.options.scales.x.max = latest;
+        }
+    }
+    temperatureChart.update('none');
+}
+
+function setFollowLive(enabled) {
+    followLive = enabled;
+    const btn = document.getElementById('follow-live-btn');
+    btn.textContent = followLive ? 'Follow Live: On' : 'Follow Live: Off';
+    btn.className = followLive ? 'btn btn-success' : 'btn btn-secondary';
+    if (followLive) refreshChart();
+}
+
+function toggleFollowLive() {
+    setFollowLive(!followLive);
+}
+
+function resetChartZoom() {
+    if (typeof temperatureChart.resetZoom === 'function') {
+        temperatureChart.resetZoom('none');
+    }
+    setFollowLive(true);
+}
+
+
+// Navigation functions
+function showPage(pageId) {
+    // Hide all pages
+    document.querySelectorAll('.page').forEach(page => {
+        page.classList.remove('active');
+    });
+    
+    // Remove active class from all tabs
+    document.querySelectorAll('.nav-tab').forEach(tab => {
+        tab.classList.remove('active');
+    });
+    
+    // Show selected page and activate tab
+    document.getElementById(pageId).classList.add('active');
+    document.querySelector(`[onclick="showPage('${pageId}')"]`).classList.add('active');
+}
+
+// Device registry
+function createDevice({ id, name, address, threshold, warningThreshold, lowThreshold, chemicalId, color }) {
+    return {
+        id: id || Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+        name,
+        address,
+        threshold: typeof threshold === 'number' ? threshold : DEFAULT_THRESHOLD,
+        warningThreshold: typeof warningThreshold === 'number' ? warningThreshold : null,
+        lowThreshold: typeof lowThreshold === 'number' ? lowThreshold : null,
+        chemicalId: chemicalId || null, // chemical whose boiling point drives the thresholds
+        color: color || paletteColors().series[devices.length % paletteColors().series.length],
+
+        // Runtime state below is never persisted
+        // state: 'disconnected' | 'connecting' | 'connected' | 'reconnecting' | 'stale' | 'degraded'
+        state: 'disconnected',
+        ws: null,
+        reconnectAttempts: 0,
+        reconnectTimer: null,
+        reconnectAt: 0,
+        hasConnected: false,    // answered since Connect was pressed; until then a failure is "could not connect"
+        connectError: null,     // why the last connect failed, shown until the next attempt
+        countdownInterval: null, // redraws the "attempt N in Ns" status while reconnecting
+        watchdogInterval: null,
+        lastFrameAt: 0,
+        currentTemp: null,
+        buzzerInterval: null,
+        buzzerLevel: null,
+        alarmLevel: 'none',     // 'none' | 'warning' | 'critical'
+        alarmRules: {},         // per-rule { active, pendingSince }, see evaluateAlarms()
+        recentSamples: [],      // readings inside the rate-of-rise window
+        trend: null,            // line fitted to the recent readings, see updateDeviceTrend()
+        limitCrossing: null,    // predicted { kind, limit, at } of the next limit it reaches
+        alarmEvent: null,       // open alarm history entry, see trackAlarmEvent()
+        alarmAcknowledged: false,
+        acknowledgeUntil: 0,    // Acknowledge clicked before this tab saw the alarm, see runNotificationAction()
+        snoozeUntil: 0,
+        snoozeTimer: null,
+        awaitingTest: false,    // socket open, waiting for the "test" reply
+        testTimer: null,
+        deviceRecording: false, // firmware confirmed start_record
+        recordRecovered: 0,     // readings merged during the current get_record transfer
+        pendingRequests: new Map(), // JSON command id -> { resolve, reject, timer }
+        firmwareConfig: null,   // last get_config / set_* result
+        limitsPending: false,   // limits changed here while the device could not be reached
+        deviceAlarm: null,      // alarm state reported by the firmware
+        recordStartedAt: 0,
+        clockOffset: null,      // wall-clock ms minus device uptime, see deviceFrameTime()
+        lastUptime: null,
+        lastBoot: null,
+        bootOffsets: {},        // clockOffset of each boot seen, for get_record readings
+        lastSeq: null,
+        lastFrameTime: 0,
+        droppedFrames: 0,
+        sensorFault: null,      // reason reported by the firmware while the sensor is faulty
+        card: null
+    };
+}
+
+function findDevice(id) {
+    return devices.find(d => d.id === id);
+}
+
+// The address of the ESP32 serving this page, or null when the dashboard is hosted elsewhere
+// (or opened from disk). The firmware answers /api/status next to the dashboard files.
+async function detectHostDevice() {
+    if (!/^https?:$/.test(location.protocol) || typeof fetch !== 'function') return null;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), HOST_PROBE_TIMEOUT);
+    try {
+        const response = await fetch('/api/status', { cache: 'no-store', signal: controller.signal });
+        if (!response.ok) return null;
+        const status = await response.json();
+        return status && status.firmware ? location.host : null;
+    } catch (err) {
+        return null; // Not JSON, or no such route: an ordinary web server
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// Returns true when the list was empty and a placeholder device was seeded
+function loadDevices() {
+    let saved = [];
+    try {
+        saved = JSON.parse(localStorage.getItem(STORAGE_KEYS.devices)) || [];
+    } catch (err) {
+        console.warn("Ignoring corrupt device list:", err);
+    }
+
+    // First run (or upgrade from the single-device dashboard): seed one device
+    const seeded = saved.length === 0;
+    if (seeded) {
+        saved = [{
+            name: 'ESP32',
+            address: localStorage.getItem(STORAGE_KEYS.deviceAddress) || DEFAULT_DEVICE_ADDRESS
+        }];
+    }
+
+    devices = [];
+    saved.forEach(entry => devices.push(createDevice(entry)));
+    saveDevices();
+
+    const savedTimeout = parseInt(localStorage.getItem(STORAGE_KEYS.staleTimeout), 10);
+    staleTimeout = savedTimeout > 0 ? savedTimeout : DEFAULT_STALE_TIMEOUT;
+    document.getElementById('stale-timeout').value = staleTimeout;
+
+    loadChemicalMargins();
+    loadAlarmSettings();
+    loadAlarmLog();
+    renderDeviceCards();
+    return seeded;
+}
+
+// The board serving the page is always listed. On first run it takes over the seeded
+// placeholder; otherwise it is added next to the saved devices when none has its address.
+function addHostDevice(hostAddress, seeded) {
+    if (!hostAddress) return;
+    const url = buildWebSocketUrl(hostAddress);
+    if (devices.some(d => buildWebSocketUrl(d.address) === url)) return;
+
+    const placeholder = seeded && devices.length === 1 && devices[0].state === 'disconnected' ? devices[0] : null;
+    if (placeholder) {
+        placeholder.address = hostAddress;
+    } else {
+        const taken = devices.some(d => d.name.toLowerCase() === 'esp32');
+        devices.push(createDevice({ name: taken ? `ESP32 (${hostAddress})` : 'ESP32', address: hostAddress }));
+        showToast(`Added the board serving this page (${hostAddress})`, 'info');
+    }
+    saveDevices();
+    renderDeviceCards();
+}
+
+function saveDevices() {
+    const persisted = devices.map(({ id, name, address, threshold, warningThreshold, lowThreshold, chemicalId, color }) =>
+        ({ id, name, address, threshold, warningThreshold, lowThreshold, chemicalId, color }));
+    localStorage.setItem(STORAGE_KEYS.devices, JSON.stringify(persisted));
+}
+
+function addDevice() {
+    const nameInput = document.getElementById('new-device-name');
+    const addressInput = document.getElementById('new-device-address');
+    const name = nameInput.value.trim();
+    const address = addressInput.value.trim();
+
+    if (!name || !address) {
+        showToast('Enter a name and an address (IP or hostname) for the device', 'warning');
+        return;
+    }
+    if (devices.some(d => d.name.toLowerCase() === name.toLowerCase())) {
+        showToast(`A device named "${name}" already exists`, 'warning');
+        return;
+    }
+    if (!validateSimulatorAddress(address)) return;
+
+    const device = createDevice({ name, address });
+    devices.push(device);
+    saveDevices();
+    renderDeviceCards();
+
+    nameInput.value = '';
+    addressInput.value = '';
+    showToast(`Added ${name}`, 'success');
+}
+
+function removeDevice(id) {
+    const device = findDevice(id);
+    if (!device) return;
+
+    disconnect(device);
+    releaseSimulator(device.address);
+    resetAlarms(device);
+    removeDeviceDatasets(device);
+    devices = devices.filter(d => d !== device);
+    saveDevices();
+    renderDeviceCards();
+    showToast(`Removed ${device.name}`, 'info');
+}
+
+function saveDeviceSettings(device) {
+    const name = cardField(device, 'name-input').value.trim();
+    const address = cardField(device, 'address-input').value.trim();
+
+    if (!name || !address) {
+        showToast('Device name and address are required', 'warning');
+        return;
+    }
+    if (devices.some(d => d !== device && d.name.toLowerCase() === name.toLowerCase())) {
+        showToast(`A device named "${name}" already exists`, 'warning');
+        return;
+    }
+    if (!validateSimulatorAddress(address)) return;
+
+    const addressChanged = address !== device.address;
+    const wasConnected = device.state !== 'disconnected';
+    if (addressChanged) {
+        disconnect(device);
+        releaseSimulator(device.address);
+    }
+    device.name = name;
+    device.address = address;
+    saveDevices();
+    cardField(device, 'name').textContent = name;
+    relabelDeviceDatasets(device);
+    showToast(`${name} settings saved`, 'success');
+
+    // Reconnect to the new address if we were already talking to the device
+    if (addressChanged && wasConnected) {
+        connect(device);
+    }
+}
+
+function saveStaleTimeout() {
+    const timeout = parseInt(document.getElementById('stale-timeout').value, 10);
+    if (!(timeout > 0)) {
+        showToast('Stale timeout must be at least 1 second', 'warning');
+        return;
+    }
+
+    staleTimeout = timeout;
+    localStorage.setItem(STORAGE_KEYS.staleTimeout, String(staleTimeout));
+    showToast('Connection settings saved', 'success');
+}
+
+// Device cards
+function renderDeviceCards() {
+    const container = document.getElementById('device-cards');
+    container.innerHTML = '';
+
+    if (devices.length === 0) {
+        container.innerHTML = '<div class="sensor-card device-empty">No devices registered. Add an ESP32 above to start monitoring.</div>';
+        return;
+    }
+
+    devices.forEach(device => {
+        device.card = createDeviceCard(device);
+        container.appendChild(device.card);
+        renderChemicalOptions(device);
+        renderThresholds(device);
+        renderAlarmState(device, activeAlarmRules(device));
+        renderDeviceRecording(device);
+        renderDataLoss(device);
+        renderSensorReading(device);
+        renderDeviceAlarm(device);
+        updateConnectionStatus(device);
+    });
+}
+
+function createDeviceCard(device) {
+    const card = document.createElement('div');
+    card.className = 'sensor-card device-card';
+    card.innerHTML = `
+        <div class="device-card-header">
+            <span class="device-swatch"></span>
+            <h3 data-field="name"></h3>
+            <button class="device-remove-btn" data-action="remove" title="Remove device">×</button>
+        </div>
+        <div class="device-readings">
+            <div>
+                <div class="device-label">Current</div>
+                <div class="sensor-value current-temp" data-field="temp">--</div>
+            </div>
+            <div>
+                <div class="device-label">Threshold</div>
+                <div class="sensor-value threshold-temp" data-field="threshold"></div>
+            </div>
+        </div>
+        <div class="connection-status">
+            <div class="status-indicator" data-field="indicator"></div><span data-field="status"></span>
+            <span class="device-rec-badge" data-field="device-rec" hidden>● REC</span>
+        </div>
+        <div class="device-data-loss" data-field="data-loss" hidden></div>
+        <button class="btn btn-primary connection-btn" data-action="connect">Test Connection</button>
+        <div class="device-label device-warning-text" data-field="warning"></div>
+        <div class="device-alarm-text" data-field="alarm"></div>
+        <div class="device-output-alarm" data-field="device-output" hidden></div>
+        <div class="device-alarm-actions" hidden>
+            <button class="btn btn-danger" data-action="acknowledge">Acknowledge</button>
+            <button class="btn btn-secondary" data-action="snooze">Snooze</button>
+        </div>
+        <div class="device-chemical">
+            <select data-field="chemical-select" title="Chemical being heated"></select>
+        </div>
+        <div class="device-threshold">
+            <label>Alarm <input type="number" data-field="threshold-input" step="any" min="-200" max="1350"></label>
+            <label>Warn <input type="number" data-field="warning-input" step="any" min="-200" max="1350" placeholder="off"></label>
+            <label>Low <input type="number" data-field="low-input" step="any" min="-200" max="1350" placeholder="off"></label>
+            <button class="btn btn-secondary" data-action="threshold">Set Limits</button>
+        </div>
+        <details class="device-settings">
+            <summary>Device Settings</summary>
+            <div class="form-group"><label>Name</label> <input type="text" data-field="name-input"></div>
+            <div class="form-group"><label>Address</label> <input type="text" data-field="address-input" placeholder="192.168.1.200"></div>
+            <button class="btn btn-secondary connection-btn" data-action="save">Save</button>
+        </details>
+        <details class="device-settings device-firmware" data-field="firmware">
+            <summary>Firmware Settings</summary>
+            <div class="device-firmware-info" data-field="firmware-info"></div>
+            <div class="device-firmware-grid">
+                <label>Sample interval (ms) <input type="number" data-field="fw-interval" min="250" max="60000" step="50"></label>
+                <label class="device-firmware-check"><input type="checkbox" data-field="fw-static"> Static IP</label>
+                <label>IP <input type="text" data-field="fw-ip"></label>
+                <label>Gateway <input type="text" data-field="fw-gateway"></label>
+                <label>Subnet <input type="text" data-field="fw-subnet"></label>
+                <label>DNS <input type="text" data-field="fw-dns"></label>
+                <label>SO pin <input type="number" data-field="fw-so" min="0" max="39"></label>
+                <label>CS pin <input type="number" data-field="fw-cs" min="0" max="39"></label>
+                <label>SCK pin <input type="number" data-field="fw-sck" min="0" max="39"></label>
+                <label>Alarm output pin <input type="number" data-field="fw-alarm" min="0" max="39"></label>
+            </div>
+            <div class="device-firmware-actions">
+                <button class="btn btn-secondary" data-action="fw-load">Reload</button>
+                <button class="btn btn-primary" data-action="fw-apply">Apply</button>
+                <button class="btn btn-danger" data-action="fw-reboot">Reboot</button>
+            </div>
+        </details>
+    `;
+
+    // User-entered values go in through textContent/value, never through the template
+    card.querySelector('.device-swatch').style.background = device.color;
+    card.querySelector('[data-field="name"]').textContent = device.name;
+    card.querySelector('[data-field="name-input"]').value = device.name;
+    card.querySelector('[data-field="address-input"]').value = device.address;
+
+    card.querySelector('[data-action="remove"]').addEventListener('click', () => removeDevice(device.id));
+    card.querySelector('[data-action="connect"]').addEventListener('click', () => toggleConnection(device));
+    card.querySelector('[data-action="threshold"]').addEventListener('click', () => updateThreshold(device));
+    card.querySelector('[data-action="save"]').addEventListener('click', () => saveDeviceSettings(device));
+    card.querySelector('[data-action="acknowledge"]').addEventListener('click', () => acknowledgeAlarm(device));
+    card.querySelector('[data-action="snooze"]').addEventListener('click', () => snoozeAlarm(device));
+    card.querySelector('[data-field="chemical-select"]').addEventListener('change', (e) => linkChemical(device, e.target.value || null));
+    card.querySelector('[data-field="firmware"]').addEventListener('toggle', (e) => {
+        if (e.target.open) loadFirmwareSettings(device);
+    });
+    card.querySelector('[data-action="fw-load"]').addEventListener('click', () => loadFirmwareSettings(device));
+    card.querySelector('[data-action="fw-apply"]').addEventListener('click', () => applyFirmwareSettings(device));
+    card.querySelector('[data-action="fw-reboot"]').addEventListener('click', (e) => rebootDevice(device, e.target));
+
+    return card;
+}
+
+function cardField(device, field) {
+    return device.card.querySelector(`[data-field="${field}"]`);
+}
+
+// Connection functions
+// --- Built-in simulator ---
+// "sim:<profile>" addresses connect to a simulated board from simulator.js instead of
+// the network. One board per address, so it keeps its clock, recording and settings
+// across reconnects like real hardware does.
+const simulators = new Map();
+
+function isSimulatorAddress(address) {
+    return /^sim:/i.test(address);
+}
+
+function getSimulator(address) {
+    if (!simulators.has(address)) {
+        simulators.set(address, createSimulatedFirmware(parseSimulatorAddress(address)));
+    }
+    return simulators.get(address);
+}
+
+function releaseSimulator(address) {
+    const simulator = simulators.get(address);
+    if (!simulator) return;
+    simulator.stop();
+    simulators.delete(address);
+}
+
+// Warns and returns false for a malformed "sim:" address; real addresses always pass
+function validateSimulatorAddress(address) {
+    if (!isSimulatorAddress(address)) return true;
+    try {
+        parseSimulatorAddress(address);
+        return true;
+    } catch (err) {
+        showToast(err.message, 'warning');
+        return false;
+    }
+}
+
+function populateSimulatorProfiles() {
+    const select = document.getElementById('sim-profile');
+    Object.entries(SIMULATOR_PROFILES).forEach(([name, profile]) => {
+        select.add(new Option(profile.label, name));
+    });
+}
+
+// Accepts "192.168.1.200", "esp32.local:8080" or a full "ws://host/ws" URL
+function buildWebSocketUrl(address) {
+    if (/^wss?:\/\//i.test(address)) return address;
+    return `ws://${address}/ws`;
+}
+
+function setConnectionState(device, state) {
+    device.state = state;
+    clearInterval(device.countdownInterval);
+    device.countdownInterval = state === 'reconnecting' ? setInterval(() => updateConnectionStatus(device), 1000) : null;
+    updateConnectionStatus(device);
+    if (state === 'connected' || state === 'disconnected') closeSystemNotification(`connection-${device.id}`);
+}
+
+function updateConnectionStatus(device) {
+    if (!device.card) return;
+    const indicator = cardField(device, 'indicator');
+    const text = cardField(device, 'status');
+    const btn = device.card.querySelector('[data-action="connect"]');
+    
+    switch (device.state) {
+        case 'connecting':
+            indicator.className = 'status-indicator status-connecting';
+            text.textContent = device.awaitingTest ? 'Testing connection...'
+                : device.reconnectAttempts > 0 ? `Reconnecting (attempt ${device.reconnectAttempts})...` : 'Connecting...';
+            btn.textContent = 'Connecting...';
+            btn.disabled = true;
+            break;
+        case 'connected':
+            indicator.className = 'status-indicator status-connected';
+            text.textContent = 'Connected';
+            btn.textContent = 'Disconnect';
+            btn.disabled = false;
+            break;
+        case 'reconnecting': {
+            const seconds = Math.max(0, Math.ceil((device.reconnectAt - Date.now()) / 1000));
+            indicator.className = 'status-indicator status-reconnecting';
+            text.textContent = `Reconnecting – attempt ${device.reconnectAttempts} in ${seconds}s`;
+            btn.textContent = 'Cancel';
+            btn.disabled = false;
+            break;
+        }
+        case 'stale':
+            indicator.className = 'status-indicator status-stale';
+            text.textContent = `Stale – no data for ${secondsSinceLastFrame(device)}s`;
+            btn.textContent = 'Disconnect';
+            btn.disabled = false;
+            break;
+        case 'degraded':
+            indicator.className = 'status-indicator status-degraded';
+            text.textContent = `Degraded – no data for ${secondsSinceLastFrame(device)}s`;
+            btn.textContent = 'Disconnect';
+            btn.disabled = false;
+            break;
+        default:
+            indicator.className = 'status-indicator status-disconnected';
+            text.textContent = device.connectError ? `Could not connect – ${device.connectError}` : 'Disconnected';
+            btn.textContent = 'Test Connection';
+            btn.disabled = false;
+    }
+}
+
+function toggleConnection(device) {
+    if (device.state === 'disconnected') {
+        connect(device);
+    } else {
+        disconnect(device);
+        showToast(`Disconnected from ${device.name}`, 'info');
+    }
+}
+
+function connectAll() {
+    devices.filter(d => d.state === 'disconnected').forEach(connect);
+}
+
+function disconnectAll() {
+    devices.forEach(disconnect);
+}
+
+function connect(device) {
+    clearTimeout(device.reconnectTimer);
+    device.reconnectTimer = null;
+    device.connectError = null;
+    setConnectionState(device, 'connecting');
+
+    let ws;
+    try {
+        ws = isSimulatorAddress(device.address)
+            ? createSimulatedSocket(getSimulator(device.address))
+            : new WebSocket(buildWebSocketUrl(device.address));
+    } catch (e) {
+        console.error(e);
+        if (!device.hasConnected) {
+            connectFailed(device, 'invalid address');
+            return;
+        }
+        showToast(`Failed to connect to ${device.name}`, 'error');
+        scheduleReconnect(device);
+        return;
+    }
+    device.ws = ws;
+
+    ws.onopen = () => {
+        device.lastFrameAt = Date.now();
+        startWatchdog(device);
+        startConnectionTest(device);
+        updateConnectionStatus(device);
+    };
+
+    ws.onmessage = (event) => {
+        let data;
+        try {
+            data = JSON.parse(event.data);
+        } catch (err) {
+            console.error(`Invalid data from ${device.name}:`, event.data);
+            return;
+        }
+        // Example: { temperature: 26.5 }
+        handleDeviceMessage(device, data);
+    };
+
+    ws.onclose = () => {
+        stopWatchdog(device);
+        rejectPendingRequests(device);
+        device.awaitingTest = false;
+        clearTimeout(device.testTimer);
+        if (!device.hasConnected) {
+            connectFailed(device, 'check the address');
+            return;
+        }
+        if (device.reconnectAttempts === 0) {
+            showToast(`🔌 ${device.name}: connection lost, reconnecting...`, 'warning');
+            notifyConnectionLost(device, 'Reconnecting...');
+        }
+        scheduleReconnect(device);
+    };
+
+    ws.onerror = (err) => {
+        // onclose always follows onerror, so reconnection is handled there
+        console.error(`WebSocket error (${device.name}):`, err);
+    };
+}
+
+function disconnect(device) {
+    clearTimeout(device.reconnectTimer);
+    clearTimeout(device.testTimer);
+    device.reconnectTimer = null;
+    device.awaitingTest = false;
+    device.reconnectAttempts = 0;
+    device.hasConnected = false;
+    device.connectError = null;
+    stopWatchdog(device);
+    closeSocket(device);
+    setConnectionState(device, 'disconnected');
+}
+
+// A device that never answered is most likely a mistyped address or not running the
+// firmware, so report it and stop; only a connection that was up is retried
+function connectFailed(device, reason) {
+    disconnect(device);
+    device.connectError = reason;
+    updateConnectionStatus(device);
+    showToast(`❌ Could not connect to ${device.name} – ${reason}`, 'error');
+}
+
+// Close without triggering the auto-reconnect in ws.onclose
+function closeSocket(device) {
+    const ws = device.ws;
+    rejectPendingRequests(device);
+    if (!ws) return;
+    ws.onopen = ws.onmessage = ws.onclose = ws.onerror = null;
+    ws.close();
+    device.ws = null;
+}
+
+// Exponential backoff: 1s, 2s, 4s, ... capped at RECONNECT_MAX_DELAY
+function scheduleReconnect(device) {
+    const delay = Math.min(RECONNECT_BASE_DELAY * 2 ** device.reconnectAttempts, RECONNECT_MAX_DELAY);
+    device.reconnectAttempts++;
+    device.reconnectAt = Date.now() + delay;
+    device.ws = null;
+    setConnectionState(device, 'reconnecting');
+
+    clearTimeout(device.reconnectTimer);
+    device.reconnectTimer = setTimeout(() => connect(device), delay);
+}
+
+// --- Device commands ---
+// The firmware answers plain-text commands on the same socket:
+//   "test" → { status: "ok" }, "start_record" / "end_record" → { recording: "started" | "stopped" },
+//   "get_record?from=&count=" → one page { data: [{ seq, uptime, boot, temperature }], next, total }
+function sendCommand(device, command) {
+    if (!device.ws || device.ws.readyState !== WebSocket.OPEN) return false;
+    device.ws.send(command);
+    return true;
+}
+
+function handleDeviceMessage(device, data) {
+    if (data.v !== undefined && data.id !== undefined) {
+        handleCommandReply(device, data);
+    } else if (data.event === 'alarm') {
+        handleDeviceAlarm(device, data.alarm);
+    } else if (data.event === 'config') {
+        applyDeviceConfig(device, data.config);
+    } else if (data.status === 'fault' || ('temperature' in data && !isValidTemperature(data.temperature))) {
+        handleSensorFault(device, data);
+    } else if (typeof data.temperature === 'number') {
+        handleESP32Data(device, data);
+    } else if (data.status === 'ok') {
+        handleTestReply(device);
+    } else if (data.recording === 'started') {
+        device.deviceRecording = true;
+        device.recordStartedAt = Date.now();
+        renderDeviceRecording(device);
+    } else if (data.recording === 'stopped') {
+        device.deviceRecording = false;
+        renderDeviceRecording(device);
+        // Pick up anything we missed before the device stopped recording
+        requestDeviceRecord(device);
+    } else if (Array.isArray(data.data)) {
+        handleRecordPage(device, data);
+    } else if (data.error) {
+        console.warn(`${device.name} reported an error:`, data.error);
+        showToast(`${device.name}: ${data.error}`, 'warning');
+    }
+}
+
+// --- JSON commands ---
+// Settings are changed with versioned JSON commands that carry a request id:
+//   → { v: 1, id, cmd, ...args }   ← { v: 1, id, ok: true, result } | { v: 1, id, ok: false, error }
+let nextRequestId = 1;
+
+function sendRequest(device, cmd, args = {}) {
+    return new Promise((resolve, reject) => {
+        const id = nextRequestId++;
+        if (!sendCommand(device, JSON.stringify({ v: PROTOCOL_VERSION, id, cmd, ...args }))) {
+            reject(new Error('not connected'));
+            return;
+        }
+        const timer = setTimeout(() => {
+            device.pendingRequests.delete(id);
+            reject(new Error(`no reply to ${cmd}`));
+        }, COMMAND_TIMEOUT);
+        device.pendingRequests.set(id, { resolve, reject, timer });
+    });
+}
+
+function handleCommandReply(device, reply) {
+    const request = device.pendingRequests.get(reply.id);
+    if (!request) return; // timed out already
+    device.pendingRequests.delete(reply.id);
+    clearTimeout(request.timer);
+
+    if (reply.ok) {
+        request.resolve(reply.result || {});
+    } else {
+        // Refused by the firmware, unlike a lost connection or a timeout
+        const error = new Error(reply.error || 'command failed');
+        error.refused = true;
+        request.reject(error);
+    }
+}
+
+function rejectPendingRequests(device) {
+    device.pendingRequests.forEach(request => {
+        clearTimeout(request.timer);
+        request.reject(new Error('connection lost'));
+    });
+    device.pendingRequests.clear();
+}
+
+// --- Firmware settings panel ---
+// Sample interval, static IP and sensor/alarm pins live in the device's NVS. Network and pin
+// changes only take effect after a reboot. The limits are synced with the card instead.
+const FIRMWARE_NETWORK_FIELDS = ['ip', 'gateway', 'subnet', 'dns'];
+const FIRMWARE_PIN_FIELDS = ['so', 'cs', 'sck', 'alarm'];
+
+async function loadFirmwareSettings(device) {
+    const info = cardField(device, 'firmware-info');
+    info.textContent = 'Reading settings from the device...';
+    try {
+        const [details, config] = await Promise.all([
+            sendRequest(device, 'get_info'),
+            sendRequest(device, 'get_config')
+        ]);
+        info.textContent = `Firmware ${details.firmware} · ${details.chip} · boot #${details.boot} · ` +
+            `${Math.round(details.freeHeap / 1024)} KB free · ${details.recorded}/${details.recordCapacity} readings stored`;
+        renderFirmwareConfig(device, config);
+    } catch (err) {
+        info.textContent = `Could not read settings: ${err.message}`;
+    }
+}
+
+function renderFirmwareConfig(device, config) {
+    device.firmwareConfig = config;
+    cardField(device, 'fw-interval').value = config.interval;
+    cardField(device, 'fw-static').checked = config.network.static;
+    FIRMWARE_NETWORK_FIELDS.forEach(field => { cardField(device, `fw-${field}`).value = config.network[field]; });
+    FIRMWARE_PIN_FIELDS.forEach(field => { cardField(device, `fw-${field}`).value = config.pins[field]; });
+}
+
+// Only the groups that changed are sent, one command at a time
+async function applyFirmwareSettings(device) {
+    const current = device.firmwareConfig;
+    if (!current) {
+        showToast(`Load the settings of ${device.name} first`, 'warning');
+        return;
+    }
+
+    const interval = parseInt(cardField(device, 'fw-interval').value, 10);
+    const network = { static: cardField(device, 'fw-static').checked };
+    FIRMWARE_NETWORK_FIELDS.forEach(field => { network[field] = cardField(device, `fw-${field}`).value.trim(); });
+    const pins = {};
+    FIRMWARE_PIN_FIELDS.forEach(field => { pins[field] = parseInt(cardField(device, `fw-${field}`).value, 10); });
+
+    const commands = [];
+    if (interval !== current.interval) commands.push(['set_interval', { interval }]);
+    if (Object.keys(network).some(key => network[key] !== current.network[key])) commands.push(['set_network', network]);
+    if (FIRMWARE_PIN_FIELDS.some(field => pins[field] !== current.pins[field])) commands.push(['set_pins', pins]);
+
+    if (commands.length === 0) {
+        showToast('No changes to apply', 'info');
+        return;
+    }
+
+    let restartRequired = false;
+    try {
+        for (const [cmd, args] of commands) {
+            const result = await sendRequest(device, cmd, args);
+            restartRequired = restartRequired || Boolean(result.restartRequired);
+            renderFirmwareConfig(device, result);
+        }
+    } catch (err) {
+        showToast(`${device.name}: ${err.message}`, 'error');
+        return;
+    }
+
+    showToast(restartRequired
+        ? `${device.name} settings saved – reboot the device to apply network and pin changes`
+        : `${device.name} settings saved`, restartRequired ? 'warning' : 'success');
+}
+
+// --- Device-side alarm & limit sync ---
+// The firmware runs the same limit rules and drives a buzzer/relay output, so alarms sound
+// without a browser open. On connect the device's limits win (they are what the output uses)
+// unless a linked chemical owns them or they were changed here while the device was offline;
+// after that a change on either side is pushed to the other.
+function deviceLimit(value) {
+    return typeof value === 'number' ? Math.round(value * 100) / 100 : null;
+}
+
+function limitsMatch(device, config) {
+    return deviceLimit(config.threshold) === deviceLimit(device.threshold) &&
+        deviceLimit(config.warning) === deviceLimit(device.warningThreshold) &&
+        deviceLimit(config.low) === deviceLimit(device.lowThreshold);
+}
+
+async function syncDeviceLimits(device) {
+    let config, alarm;
+    try {
+        [config, alarm] = await Promise.all([sendRequest(device, 'get_config'), sendRequest(device, 'get_alarm')]);
+    } catch (err) {
+        // Firmware without the JSON protocol: the limits stay in the browser only
+        console.info(`${device.name}: no device-side limits (${err.message})`);
+        return;
+    }
+
+    handleDeviceAlarm(device, alarm);
+    renderFirmwareConfig(device, config);
+    if (device.chemicalId || device.limitsPending) {
+        pushDeviceLimits(device);
+    } else {
+        applyDeviceConfig(device, config);
+    }
+}
+
+async function pushDeviceLimits(device) {
+    if (device.firmwareConfig && limitsMatch(device, device.firmwareConfig)) return;
+    try {
+        const config = await sendRequest(device, 'set_threshold', {
+            threshold: device.threshold,
+            warning: device.warningThreshold,
+            low: device.lowThreshold
+        });
+        device.limitsPending = false;
+        renderFirmwareConfig(device, config);
+    } catch (err) {
+        if (err.refused) {
+            // Sending them again on the next connect would only be refused again
+            device.limitsPending = false;
+            showToast(`${device.name}: the device refused the limits (${err.message})`, 'error');
+            return;
+        }
+        // Sent on the next connect instead
+        device.limitsPending = true;
+        if (err.message !== 'not connected') {
+            showToast(`${device.name}: device limits not updated (${err.message})`, 'warning');
+        }
+    }
+}
+
+// Limits changed on the device, e.g. by another dashboard
+function applyDeviceConfig(device, config) {
+    renderFirmwareConfig(device, config);
+    // A linked chemical owns the limits; they are pushed again on the next connect
+    if (device.chemicalId || limitsMatch(device, config)) return;
+
+    device.threshold = deviceLimit(config.threshold);
+    device.warningThreshold = deviceLimit(config.warning);
+    device.lowThreshold = deviceLimit(config.low);
+    saveDevices();
+    renderThresholds(device);
+    recordThresholdChange(device);
+    showToast(`${device.name}: limits updated from the device`, 'info');
+}
+
+function handleDeviceAlarm(device, alarm) {
+    device.deviceAlarm = alarm;
+    renderDeviceAlarm(device);
+}
+
+function renderDeviceAlarm(device) {
+    if (!device.card) return;
+    const field = cardField(device, 'device-output');
+    const alarm = device.deviceAlarm;
+    field.hidden = !alarm || alarm.level === 'none';
+    if (field.hidden) return;
+
+    let text = `📟 Device output: ${alarm.level.toUpperCase()}`;
+    if (alarm.acknowledged) text += ' · silenced';
+    else if (alarm.snoozed) text += ' · snoozed';
+    field.textContent = text;
+}
+
+async function rebootDevice(device, button) {
+    // Same inline confirmation as session deletion
+    if (button.dataset.confirm !== 'true') {
+        button.dataset.confirm = 'true';
+        button.textContent = 'Confirm Reboot?';
+        setTimeout(() => {
+            button.dataset.confirm = 'false';
+            button.textContent = 'Reboot';
+        }, 5000);
+        return;
+    }
+
+    button.dataset.confirm = 'false';
+    button.textContent = 'Reboot';
+    try {
+        await sendRequest(device, 'reboot');
+        showToast(`🔁 ${device.name} is rebooting`, 'info');
+    } catch (err) {
+        showToast(`${device.name}: ${err.message}`, 'error');
+    }
+}
+
+// Connection check: the link only counts as connected once the firmware answers "test"
+function startConnectionTest(device) {
+    device.awaitingTest = true;
+    sendCommand(device, 'test');
+    clearTimeout(device.testTimer);
+    device.testTimer = setTimeout(() => {
+        if (!device.awaitingTest) return;
+        device.awaitingTest = false;
+        if (!device.hasConnected) {
+            connectFailed(device, 'no reply to the connection test');
+            return;
+        }
+        showToast(`⚠️ ${device.name} did not answer the connection test`, 'error');
+        stopWatchdog(device);
+        closeSocket(device);
+        scheduleReconnect(device);
+    }, TEST_REPLY_TIMEOUT);
+}
+
+function handleTestReply(device) {
+    if (!device.awaitingTest) return;
+    const wasReconnect = device.reconnectAttempts > 0;
+    device.awaitingTest = false;
+    clearTimeout(device.testTimer);
+    device.reconnectAttempts = 0;
+    device.hasConnected = true;
+    setConnectionState(device, 'connected');
+    showToast(wasReconnect ? `✅ Reconnected to ${device.name}` : `✅ Connected to ${device.name}!`, 'success');
+    syncDeviceRecording(device);
+    syncDeviceLimits(device);
+}
+
+// Bring the device's own recording in line with the dashboard after (re)connecting
+function syncDeviceRecording(device) {
+    if (isRecording && device.deviceRecording) {
+        // We were disconnected mid-run: the device kept recording, so fetch what we missed
+        requestDeviceRecord(device);
+    } else if (isRecording) {
+        sendCommand(device, 'start_record');
+    } else if (device.deviceRecording) {
+        sendCommand(device, 'end_record');
+    }
+}
+
+function renderDeviceRecording(device) {
+    if (!device.card) return;
+    cardField(device, 'device-rec').hidden = !device.deviceRecording;
+}
+
+// The device recording is fetched one page at a time: each reply says where the next page
+// starts (`next`) and how many readings there are (`total`). Older firmware sends everything
+// in one reply without them.
+function requestDeviceRecord(device, from = 0) {
+    if (from === 0) device.recordRecovered = 0;
+    sendCommand(device, `get_record?from=${from}&count=${RECORD_PAGE_SIZE}`);
+}
+
+function handleRecordPage(device, page) {
+    device.recordRecovered += mergeDeviceRecord(device, page.data);
+
+    if (currentSession && typeof page.next === 'number' && page.next < page.total && page.data.length > 0) {
+        requestDeviceRecord(device, page.next);
+        return;
+    }
+
+    if (device.recordRecovered > 0) {
+        if (currentSession && currentSession.saved) persistSession(currentSession);
+        showToast(`${device.name}: recovered ${device.recordRecovered} readings from the device`, 'info');
+    }
+    device.recordRecovered = 0;
+}
+
+// get_record returns the readings recorded since start_record. Current firmware stamps
+// them with seq/uptime, so they are matched on sequence number; older firmware sends bare
+// temperatures, whose times are estimated (see estimatedBackfill()). Returns how many
+// readings were added.
+function mergeDeviceRecord(device, values) {
+    if (!currentSession || values.length === 0) return 0;
+
+    const backfill = typeof values[0] === 'object'
+        ? stampedBackfill(device, values)
+        : estimatedBackfill(device, values);
+    if (backfill.length === 0) return 0;
+
+    temperatureData = temperatureData.concat(backfill).sort((a, b) => a.time.localeCompare(b.time));
+    const temperatureSeries = getDeviceSeries(device, 'temperature');
+    const thresholdSeries = getDeviceSeries(device, 'threshold');
+    backfill.forEach(r => {
+        const x = new Date(r.time).getTime();
+        temperatureSeries.data.push({ x, y: r.temperature });
+        thresholdSeries.data.push({ x, y: r.threshold });
+    });
+    temperatureSeries.data.sort((a, b) => a.x - b.x);
+    thresholdSeries.data.sort((a, b) => a.x - b.x);
+    pruneRecoveredGaps(device);
+    renderLiveStats();
+    refreshChart();
+    return backfill.length;
+}
+
+// Readings from a boot we never saw a live frame from cannot be placed in time and are skipped
+function stampedBackfill(device, records) {
+    const offsetFor = r => (r.boot === undefined ? device.clockOffset : device.bootOffsets[r.boot]);
+    // seq restarts after a reboot, so boot and uptime are part of the key
+    const key = r => `${r.boot}:${r.seq}@${r.uptime}`;
+    const known = new Set(temperatureData
+        .filter(r => r.deviceId === device.id && r.seq !== undefined)
+        .map(key));
+
+    return records
+        .filter(r => isValidTemperature(r.temperature) && typeof offsetFor(r) === 'number' && !known.has(key(r)))
+        .map(r => {
+            const t = offsetFor(r) + r.uptime;
+            return {
+                time: new Date(t).toISOString(),
+                deviceId: device.id,
+                device: device.name,
+                temperature: r.temperature,
+                threshold: thresholdAt(device, t),
+                seq: r.seq,
+                uptime: r.uptime,
+                boot: r.boot,
+                source: 'device'
+            };
+        });
+}
+
+// Bare temperatures, one per firmware sample interval from start_record. Their times are
+// estimated from the first reading we received live and the typical spacing of our own
+// readings; samples that land on an existing reading are skipped.
+function estimatedBackfill(device, values) {
+    if (!device.recordStartedAt) return [];
+
+    const local = temperatureData
+        .filter(r => r.deviceId === device.id && new Date(r.time).getTime() >= device.recordStartedAt)
+        .map(r => new Date(r.time).getTime());
+
+    const interval = medianGap(local) || DEVICE_SAMPLE_INTERVAL;
+    const anchor = local.length > 0 ? local[0] : device.recordStartedAt + interval / 2;
+    const tolerance = interval / 2;
+    const now = Date.now();
+    const backfill = [];
+
+    values.forEach((value, i) => {
+        const t = anchor + i * interval;
+        if (!isValidTemperature(value) || t > now) return;
+        if (nearestGap(local, t) < tolerance) return; // already have this one
+        backfill.push({
+            time: new Date(t).toISOString(),
+            deviceId: device.id,
+            device: device.name,
+            temperature: value,
+            threshold: thresholdAt(device, t),
+            source: 'device'
+        });
+    });
+    return backfill;
+}
+
+// Drop the data-loss gaps whose frames have all been recovered
+function pruneRecoveredGaps(device) {
+    const seqs = new Set(temperatureData.filter(r => r.deviceId === device.id && r.seq !== undefined).map(r => r.seq));
+    currentSession.dataLoss = currentSession.dataLoss.filter(gap => {
+        if (gap.deviceId !== device.id) return true;
+        for (let seq = gap.fromSeq; seq <= gap.toSeq; seq++) {
+            if (!seqs.has(seq)) return true;
+        }
+        return false;
+    });
+    updateDataLossIndicator();
+}
+
+function medianGap(times) {
+    if (times.length < 2) return null;
+    const gaps = times.slice(1).map((t, i) => t - times[i]).sort((a, b) => a - b);
+    return gaps[Math.floor(gaps.length / 2)];
+}
+
+// Distance from t to the closest entry of a sorted array of times
+function nearestGap(sortedTimes, t) {
+    let lo = 0;
+    let hi = sortedTimes.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (sortedTimes[mid] < t) lo = mid + 1; else hi = mid;
+    }
+    const candidates = [sortedTimes[lo - 1], sortedTimes[lo]].filter(v => v !== undefined);
+    return candidates.length ? Math.min(...candidates.map(v => Math.abs(v - t))) : Infinity;
+}
+
+// Threshold in force for a device at time t, from the session's threshold history
+function thresholdAt(device, t) {
+    const entries = currentSession.thresholdHistory.filter(e => e.deviceId === device.id && new Date(e.time).getTime() <= t);
+    return entries.length ? entries[entries.length - 1].threshold : device.threshold;
+}
+
+// --- Stale-data watchdog ---
+function startWatchdog(device) {
+    stopWatchdog(device);
+    device.watchdogInterval = setInterval(() => checkDataFlow(device), 1000);
+}
+
+function stopWatchdog(device) {
+    if (device.watchdogInterval) {
+        clearInterval(device.watchdogInterval);
+        device.watchdogInterval = null;
+    }
+}
+
+function secondsSinceLastFrame(device) {
+    return Math.floor((Date.now() - device.lastFrameAt) / 1000);
+}
+
+function checkDataFlow(device) {
+    const elapsed = (Date.now() - device.lastFrameAt) / 1000;
+
+    if (elapsed >= staleTimeout * FORCE_RECONNECT_FACTOR) {
+        // The socket looks open but nothing is coming through: drop it and start over
+        showToast(`⚠️ No data from ${device.name}, reconnecting...`, 'error');
+        stopWatchdog(device);
+        closeSocket(device);
+        scheduleReconnect(device);
+    } else if (elapsed >= staleTimeout * DEGRADED_FACTOR) {
+        if (device.state !== 'degraded') {
+            showToast(`⚠️ ${device.name}: link degraded – no temperature data`, 'warning');
+            notifyConnectionLost(device, `No temperature data for ${secondsSinceLastFrame(device)}s`);
+        }
+        setConnectionState(device, 'degraded');
+    } else if (elapsed >= staleTimeout) {
+        setConnectionState(device, 'stale');
+    }
+}
+
+function markFrameReceived(device) {
+    device.lastFrameAt = Date.now();
+    if (device.state === 'stale' || device.state === 'degraded') {
+        setConnectionState(device, 'connected');
+        showToast(`Data flow from ${device.name} resumed`, 'info');
+    }
+}
+
+
+// Dashboard functions
+const ALARM_LIMIT_PROBLEMS = {
+    range: () => `Limits must be between ${displayTemp(VALID_TEMPERATURE_RANGE.min)} and ${displayTemp(VALID_TEMPERATURE_RANGE.max)}`,
+    warning: () => 'The warning limit must be below the alarm threshold',
+    low: () => 'The low limit must be below the warning and alarm limits'
+};
+
+function updateThreshold(device) {
+    // Typed in the display unit, stored in °C
+    const [value, warning, low] = ['threshold-input', 'warning-input', 'low-input'].map(field => {
+        const typed = parseFloat(cardField(device, field).value);
+        return isNaN(typed) ? NaN : fromDisplayTemp(typed, displayPrefs.unit);
+    });
+    // Warning and low limits are optional: leave them blank to switch the rule off
+
+    if (isNaN(value)) {
+        showToast('Enter a valid threshold temperature', 'warning');
+        return;
+    }
+    // The same checks as the firmware's set_threshold
+    const limits = { threshold: value, warningThreshold: isNaN(warning) ? null : warning, lowThreshold: isNaN(low) ? null : low };
+    const problem = alarmLimitsProblem(limits);
+    if (problem) {
+        showToast(ALARM_LIMIT_PROBLEMS[problem](), 'warning');
+        return;
+    }
+
+    Object.assign(device, limits);
+    saveDevices();
+    renderThresholds(device);
+    recordThresholdChange(device);
+    pushDeviceLimits(device);
+}
+
+function renderThresholds(device) {
+    const chemical = getLinkedChemical(device);
+    const inputs = ['threshold-input', 'warning-input', 'low-input'].map(field => cardField(device, field));
+    const button = device.card.querySelector('[data-action="threshold"]');
+
+    cardField(device, 'threshold').textContent = displayTemp(device.threshold);
+    inputs[0].value = tempInputValue(device.threshold);
+    inputs[1].value = tempInputValue(device.warningThreshold);
+    inputs[2].value = tempInputValue(device.lowThreshold);
+    inputs.forEach(input => {
+        input.min = toDisplayTemp(VALID_TEMPERATURE_RANGE.min, displayPrefs.unit);
+        input.max = toDisplayTemp(VALID_TEMPERATURE_RANGE.max, displayPrefs.unit);
+    });
+    // A linked chemical owns the thresholds; pick "Manual threshold" to type them in
+    inputs.concat(button).forEach(el => { el.disabled = Boolean(device.chemicalId); });
+
+    const limits = [];
+    if (device.warningThreshold !== null) limits.push(`Warn ≥ ${displayTemp(device.warningThreshold)}`);
+    if (device.lowThreshold !== null) limits.push(`Low ≤ ${displayTemp(device.lowThreshold)}`);
+    if (chemical) limits.push(`${chemical.chemName} (${chemical.hazardLevel} hazard)`);
+    cardField(device, 'warning').textContent = limits.join(' · ');
+}
+
+// Chemical-linked thresholds
+function loadChemicalMargins() {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(STORAGE_KEYS.chemicalMargins)) || {};
+    } catch (err) {
+        console.warn("Ignoring corrupt chemical margins:", err);
+    }
+    warningMargin = saved.warningMargin >= 0 ? saved.warningMargin : DEFAULT_WARNING_MARGIN;
+    highHazardMargin = saved.highHazardMargin >= 0 ? saved.highHazardMargin : DEFAULT_HIGH_HAZARD_MARGIN;
+    renderChemicalMargins();
+}
+
+// Margins are temperature differences, shown in the display unit
+function renderChemicalMargins() {
+    document.getElementById('warning-margin').value = toDisplayDelta(warningMargin, displayPrefs.unit);
+    document.getElementById('high-hazard-margin').value = toDisplayDelta(highHazardMargin, displayPrefs.unit);
+}
+
+function saveChemicalMargins() {
+    const warning = fromDisplayDelta(parseFloat(document.getElementById('warning-margin').value), displayPrefs.unit);
+    const highHazard = fromDisplayDelta(parseFloat(document.getElementById('high-hazard-margin').value), displayPrefs.unit);
+
+    if (isNaN(warning) || warning < 0 || isNaN(highHazard) || highHazard < 0) {
+        showToast(`Margins must be zero or a positive number of ${temperatureSymbol(displayPrefs.unit)}`, 'warning');
+        return;
+    }
+
+    warningMargin = warning;
+    highHazardMargin = highHazard;
+    localStorage.setItem(STORAGE_KEYS.chemicalMargins, JSON.stringify({ warningMargin, highHazardMargin }));
+    devices.filter(d => d.chemicalId).forEach(applyChemicalThresholds);
+    showToast('Chemical margins saved', 'success');
+}
+
+function getLinkedChemical(device) {
+    return device.chemicalId ? chemicals.find(c => c.id === device.chemicalId) || null : null;
+}
+
+function linkChemical(device, chemicalId) {
+    device.chemicalId = chemicalId;
+
+    if (chemicalId) {
+        applyChemicalThresholds(device);
+        const chemical = getLinkedChemical(device);
+        showToast(`${device.name}: thresholds set from ${chemical.chemName}`, 'success');
+    } else {
+        // Keep the derived limits as a starting point for manual editing
+        removeDeviceDatasets(device, ['boiling', 'freezing']);
+        saveDevices();
+        renderThresholds(device);
+    }
+}
+
+function applyChemicalThresholds(device) {
+    const chemical = getLinkedChemical(device);
+    if (!chemical) return;
+
+    // Limits the firmware would refuse are fitted first, so the card and the device agree
+    const { limits, changed } = fitAlarmLimits(deriveChemicalThresholds(chemical, { warningMargin, highHazardMargin }));
+    const moved = limits.threshold !== device.threshold || limits.warningThreshold !== device.warningThreshold ||
+        limits.lowThreshold !== device.lowThreshold;
+    Object.assign(device, limits);
+    if (moved && changed.length) {
+        const notes = { threshold: `alarm kept at ${displayTemp(limits.threshold)}`, warning: 'no warning limit', low: 'no low limit' };
+        showToast(`${device.name}: ${chemical.chemName}'s limits do not fit the device – ${changed.map(key => notes[key]).join(', ')}`, 'warning');
+    }
+    saveDevices();
+    recordThresholdChange(device);
+    relabelDeviceDatasets(device);
+    if (device.card) renderThresholds(device);
+    pushDeviceLimits(device);
+}
+
+function renderChemicalOptions(device) {
+    const select = cardField(device, 'chemical-select');
+    select.innerHTML = '';
+    select.appendChild(new Option('Manual threshold', ''));
+    chemicals.forEach(chemical => {
+        select.appendChild(new Option(`${chemical.chemName} (${chemical.formula}) – bp ${displayTemp(chemical.boilingPoint)}`, chemical.id));
+    });
+    select.value = device.chemicalId || '';
+}
+
+// Called whenever the chemical database changes: keep selectors and derived thresholds in sync
+function refreshChemicalLinks() {
+    devices.forEach(device => {
+        if (!device.card) return;
+        if (device.chemicalId && !getLinkedChemical(device)) {
+            // Linked chemical was deleted: keep the last thresholds but let the user edit them
+            showToast(`${device.name}: linked chemical was removed, thresholds are now manual`, 'warning');
+            device.chemicalId = null;
+            removeDeviceDatasets(device, ['boiling', 'freezing']);
+            saveDevices();
+        }
+        renderChemicalOptions(device);
+        applyChemicalThresholds(device);
+        renderThresholds(device);
+    });
+}
+
+function toggleRecording() {
+    const btn = document.getElementById('record-btn');
+    isRecording = !isRecording;
+    
+    if (isRecording) {
+        btn.textContent = 'Stop Recording';
+        btn.className = 'btn btn-danger';
+        startSession();
+        devices.forEach(device => sendCommand(device, 'start_record'));
+    } else {
+        btn.textContent = 'Start Recording';
+        btn.className = 'btn btn-success';
+        // The device answers "stopped", which triggers a final get_record to fill any gaps
+        devices.forEach(device => sendCommand(device, 'end_record'));
+        devices.forEach(clearDeviceTrend);
+        stopSession();
+        renderLiveStats();
+    }
+}
+
+function clearChart() {
+    stopReplay();
+    temperatureChart.data.datasets.forEach(dataset => {
+        dataset.data = [];
+    });
+    resetChartZoom();
+    temperatureChart.update();
+    temperatureData = [];
+    currentSession = null;
+    viewedSession = null;
+    devices.forEach(clearDeviceTrend);
+    updateSessionBanner();
+    updateDataLossIndicator();
+    renderLiveStats();
+}
+
+function saveData() {
+    if (temperatureData.length === 0) {
+        showToast('No data to save. Start recording first.', 'warning');
+        return;
+    }
+
+    openSessionModal(viewedSession || currentSession);
+}
+
+function downloadFile(content, filename, type) {
+    const blob = new Blob([content], { type });
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    window.URL.revokeObjectURL(url);
+}
+
+// Exports what the chart shows (the live recording or an opened session): a plain CSV of the
+// readings, or JSON / Excel with the session metadata, see run-report.js
+function exportData(format = 'csv') {
+    if (temperatureData.length === 0) {
+        showToast('No data to export. Start recording first.', 'warning');
+        return;
+    }
+    
+    const fileName = `temperature_data_${new Date().toISOString().split('T')[0]}`;
+    if (format === 'csv') {
+        downloadFile(buildReadingsCsv(temperatureData, displayPrefs.unit), `${fileName}.csv`, 'text/csv');
+    } else {
+        downloadRun(chartRun(), fileName, format);
+    }
+    showToast('Data exported successfully', 'success');
+}
+
+// --- Run exports & printable report ---
+function chartRun() {
+    return buildRun({ session: viewedSession || currentSession, readings: temperatureData, alarmLog, chemicals });
+}
+
+function downloadRun(run, fileName, format) {
+    if (format === 'json') {
+        downloadFile(buildRunJson(run, displayPrefs.unit), `${fileName}.json`, 'application/json');
+    } else {
+        downloadFile(buildRunWorkbook(run, displayPrefs.unit), `${fileName}.xls`, 'application/vnd.ms-excel');
+    }
+}
+
+// Report of what the chart shows, printed (or saved as PDF) from a hidden frame
+function printRunReport() {
+    if (temperatureData.length === 0) {
+        showToast('No data to report. Start recording or open a session first.', 'warning');
+        return;
+    }
+
+    const html = buildRunReportHtml(chartRun(), { prefs: displayPrefs, chartImage: temperatureChart.toBase64Image() });
+    const frame = document.createElement('iframe');
+    frame.className = 'report-frame';
+    frame.onload = () => {
+        frame.contentWindow.onafterprint = () => frame.remove();
+        frame.contentWindow.focus();
+        frame.contentWindow.print();
+    };
+    frame.srcdoc = html;
+    document.body.appendChild(frame);
+}
+
+// --- Local database (IndexedDB) ---
+const APP_DB_NAME = 'esp32-dashboard';
+const APP_DB_VERSION = 2;
+let appDbPromise = null;
+
+function openAppDb() {
+    if (!appDbPromise) {
+        appDbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(APP_DB_NAME, APP_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('sessions')) {
+                    db.createObjectStore('sessions', { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains('chemicals')) {
+                    db.createObjectStore('chemicals', { keyPath: '__backendId' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return appDbPromise;
+}
+
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function dbStore(storeName, mode = 'readonly') {
+    const db = await openAppDb();
+    return db.transaction(storeName, mode).objectStore(storeName);
+}
+
+// --- Chemical storage backends ---
+// The chemical database goes through `chemicalStore`, which follows the Data SDK contract:
+// init(handler) reports the full record list through handler.onDataChanged() and again after
+// every change, and create/update/delete resolve to {isOk}. Records are keyed by __backendId.
+// Without the Data SDK the records are kept in this browser (IndexedDB, else localStorage).
+let chemicalStore = null;
+
+function createDataSdkStore(sdk) {
+    return {
+        label: 'Data SDK (shared database)',
+        shared: true,
+        init: handler => sdk.init(handler),
+        create: record => sdk.create(record),
+        update: record => sdk.update(record),
+        delete: record => sdk.delete(record)
+    };
+}
+
+// Browser stores hold the list in memory and write each change through `backend`
+// ({load, put, remove}) before notifying the handler
+function createLocalChemicalStore(label, backend) {
+    let handler = null;
+    let records = [];
+    const notify = () => handler.onDataChanged(records.slice());
+
+    const write = async change => {
+        try {
+            await change();
+            notify();
+            return { isOk: true };
+        } catch (err) {
+            console.error(`Chemical store (${label}) write failed:`, err);
+            return { isOk: false, error: err };
+        }
+    };
+    const indexOf = record => records.findIndex(r => r.__backendId === record.__backendId);
+
+    return {
+        label,
+        shared: false,
+        async init(dataHandler) {
+            handler = dataHandler;
+            try {
+                records = await backend.load();
+                notify();
+                return { isOk: true };
+            } catch (err) {
+                console.error(`Chemical store (${label}) could not be loaded:`, err);
+                return { isOk: false, error: err };
+            }
+        },
+        create: record => write(async () => {
+            const saved = { ...record, __backendId: Date.now().toString(36) + Math.random().toString(36).slice(2, 6) };
+            await backend.put(saved);
+            records.push(saved);
+        }),
+        update: record => write(async () => {
+            const index = indexOf(record);
+            if (index === -1) throw new Error(`No chemical with id ${record.__backendId}`);
+            await backend.put(record);
+            records[index] = record;
+        }),
+        delete: record => write(async () => {
+            await backend.remove(record.__backendId);
+            records = records.filter(r => r.__backendId !== record.__backendId);
+        })
+    };
+}
+
+const indexedDbChemicalBackend = {
+    load: async () => promisifyRequest((await dbStore('chemicals')).getAll()),
+    put: async record => promisifyRequest((await dbStore('chemicals', 'readwrite')).put(record)),
+    remove: async id => promisifyRequest((await dbStore('chemicals', 'readwrite')).delete(id))
+};
+
+const localStorageChemicalBackend = {
+    load: async () => JSON.parse(localStorage.getItem(STORAGE_KEYS.chemicals)) || [],
+    async put(record) {
+        const list = await this.load();
+        const index = list.findIndex(r => r.__backendId === record.__backendId);
+        if (index === -1) list.push(record); else list[index] = record;
+        localStorage.setItem(STORAGE_KEYS.chemicals, JSON.stringify(list));
+    },
+    async remove(id) {
+        const list = (await this.load()).filter(r => r.__backendId !== id);
+        localStorage.setItem(STORAGE_KEYS.chemicals, JSON.stringify(list));
+    }
+};
+
+// Uses the first backend that initialises: Data SDK, then IndexedDB, then localStorage
+async function initChemicalStore() {
+    const candidates = [];
+    if (window.dataSdk) candidates.push(() => createDataSdkStore(window.dataSdk));
+    if (window.indexedDB) candidates.push(() => createLocalChemicalStore('this browser (IndexedDB)', indexedDbChemicalBackend));
+    candidates.push(() => createLocalChemicalStore('this browser (localStorage)', localStorageChemicalBackend));
+
+    const skipped = [];
+    for (const create of candidates) {
+        const store = create();
+        const result = await store.init(dataHandler);
+        if (result.isOk) {
+            chemicalStore = store;
+            renderStorageStatus(skipped);
+            return;
+        }
+        console.error(`Failed to initialize the chemical store: ${store.label}`);
+        skipped.push(store.label);
+    }
+
+    chemicalStore = null;
+    renderStorageStatus(skipped);
+    showToast('The chemical database could not be opened – changes will not be saved', 'error');
+}
+
+function renderStorageStatus(skipped) {
+    const status = document.getElementById('storage-status');
+    if (!chemicalStore) {
+        status.textContent = 'Chemicals: no storage available – changes will not be saved';
+    } else if (chemicalStore.shared) {
+        status.textContent = `Chemicals are stored in the ${chemicalStore.label}`;
+    } else {
+        status.textContent = `Chemicals are stored in ${chemicalStore.label} only – use Export to back them up or move them`;
+    }
+    if (skipped.length) status.textContent += ` (unavailable: ${skipped.join(', ')})`;
+    status.classList.toggle('storage-status-warning', !chemicalStore || skipped.length > 0);
+}
+
+// Warns and returns false when there is nowhere to save chemicals
+function hasChemicalStore() {
+    if (chemicalStore) return true;
+    showToast('The chemical database is not available', 'error');
+    return false;
+}
+
+// --- Recording sessions ---
+// A session is started by Start Recording and grows until the chart is cleared.
+// `temperatureData` holds its readings; the rest of the metadata lives here.
+let currentSession = null;
+let viewedSession = null;  // saved session currently shown on the chart
+let sessions = [];         // saved session summaries for the Sessions page
+let editingSession = null; // session open in the save/rename modal
+let replayTimer = null;
+const REPLAY_SPEED = 20;   // replay runs 20x faster than the original recording
+
+function snapshotDevice(device) {
+    const chemical = getLinkedChemical(device);
+    return {
+        id: device.id,
+        name: device.name,
+        color: device.color,
+        chemicalId: device.chemicalId,
+        chemName: chemical ? chemical.chemName : null
+    };
+}
+
+function thresholdEntry(device) {
+    return {
+        time: new Date().toISOString(),
+        deviceId: device.id,
+        device: device.name,
+        threshold: device.threshold,
+        warningThreshold: device.warningThreshold,
+        lowThreshold: device.lowThreshold,
+        chemName: device.chemicalId && getLinkedChemical(device) ? getLinkedChemical(device).chemName : null
+    };
+}
+
+function startSession() {
+    // Starting a recording while a saved session is on screen begins a fresh one
+    if (viewedSession) clearChart();
+    if (!currentSession) {
+        currentSession = {
+            id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+            name: `Session ${displayDateTime(Date.now())}`,
+            notes: '',
+            startedAt: new Date().toISOString(),
+            endedAt: null,
+            devices: devices.map(snapshotDevice),
+            thresholdHistory: devices.map(thresholdEntry),
+            dataLoss: [],          // dropped-frame gaps, see trackSequence()
+            saved: false
+        };
+    }
+    currentSession.endedAt = null;
+    updateSessionBanner();
+}
+
+async function stopSession() {
+    if (!currentSession) return;
+    currentSession.endedAt = new Date().toISOString();
+    // Keep an already-saved session in sync without asking again
+    if (currentSession.saved) {
+        await persistSession(currentSession);
+    }
+}
+
+// Called for every recorded frame so devices added mid-run are part of the session
+function noteSessionDevice(device) {
+    if (!currentSession) return;
+    const entry = currentSession.devices.find(d => d.id === device.id);
+    if (!entry) {
+        currentSession.devices.push(snapshotDevice(device));
+        currentSession.thresholdHistory.push(thresholdEntry(device));
+    }
+}
+
+// Called whenever a device's limits change
+function recordThresholdChange(device) {
+    if (!currentSession || !isRecording) return;
+    const entry = thresholdEntry(device);
+    const last = currentSession.thresholdHistory.filter(e => e.deviceId === device.id).pop();
+    if (last && last.threshold === entry.threshold && last.warningThreshold === entry.warningThreshold &&
+        last.lowThreshold === entry.lowThreshold && last.chemName === entry.chemName) {
+        return;
+    }
+    currentSession.thresholdHistory.push(entry);
+    const index = currentSession.devices.findIndex(d => d.id === device.id);
+    if (index !== -1) currentSession.devices[index] = snapshotDevice(device);
+}
+
+async function persistSession(meta) {
+    const { saved, ...fields } = meta;
+    const record = { ...fields, readings: temperatureData.slice() };
+    try {
+        const store = await dbStore('sessions', 'readwrite');
+        await promisifyRequest(store.put(record));
+        meta.saved = true;
+        await loadSessions();
+        return true;
+    } catch (err) {
+        console.error("Failed to save session:", err);
+        showToast('Failed to save session', 'error');
+        return false;
+    }
+}
+
+async function loadSessions() {
+    try {
+        const store = await dbStore('sessions');
+        const records = await promisifyRequest(store.getAll());
+        sessions = records.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+    } catch (err) {
+        console.error("Failed to load sessions:", err);
+        sessions = [];
+    }
+    renderSessionsTable();
+}
+
+async function getSession(id) {
+    const store = await dbStore('sessions');
+    return promisifyRequest(store.get(id));
+}
+
+function openSessionModal(session) {
+    editingSession = session;
+    document.getElementById('session-modal-title').textContent = session === currentSession ? 'Save Session' : 'Edit Session';
+    document.getElementById('session-name').value = session ? session.name : '';
+    document.getElementById('session-notes').value = session ? session.notes || '' : '';
+    document.getElementById('session-modal').style.display = 'block';
+}
+
+function closeSessionModal() {
+    document.getElementById('session-modal').style.display = 'none';
+    editingSession = null;
+}
+
+document.getElementById('session-form').addEventListener('submit', async function(e) {
+    e.preventDefault();
+    const session = editingSession;
+    if (!session) return;
+
+    session.name = document.getElementById('session-name').value.trim() || session.name;
+    session.notes = document.getElementById('session-notes').value;
+
+    let ok;
+    if (session === currentSession) {
+        ok = await persistSession(session);
+        if (ok) showToast(`Saved ${temperatureData.length} temperature readings as "${session.name}"`, 'success');
+    } else {
+        // Renaming / editing notes of a stored session keeps its readings untouched
+        const record = await getSession(session.id);
+        if (!record) {
+            // Deleted in another tab while the form was open
+            closeSessionModal();
+            await loadSessions();
+            showToast('This session no longer exists', 'error');
+            return;
+        }
+        record.name = session.name;
+        record.notes = session.notes;
+        const store = await dbStore('sessions', 'readwrite');
+        ok = await promisifyRequest(store.put(record)).then(() => true, () => false);
+        await loadSessions();
+        showToast(ok ? 'Session updated' : 'Failed to update session', ok ? 'success' : 'error');
+    }
+
+    if (ok) {
+        closeSessionModal();
+        updateSessionBanner();
+    }
+});
+
+// Stops a running recording and stores the live session before a saved run takes over the
+// chart, so its readings are not lost. False (nothing changed) when it could not be saved.
+async function closeLiveSession() {
+    if (!currentSession) return true;
+    if (temperatureData.length > 0 || currentSession.saved) {
+        if (!(await persistSession(currentSession))) return false;
+        showToast(`Saved the live session as "${currentSession.name}"`, 'info');
+    }
+    if (isRecording) toggleRecording();
+    return true;
+}
+
+// Plot a stored session on the chart, replacing whatever is there
+async function openSession(id, { replay = false } = {}) {
+    const record = await getSession(id);
+    if (!record) {
+        showToast('Session not found', 'error');
+        return;
+    }
+
+    if (!(await closeLiveSession())) return;
+    clearChart();
+    viewedSession = record;
+    temperatureData = record.readings.slice();
+    updateSessionBanner();
+    updateDataLossIndicator();
+    renderSessionDetails(record);
+    renderLiveStats();
+    showPage('dashboard');
+
+    if (replay) {
+        replaySession(record);
+    } else {
+        record.readings.forEach(reading => plotReading(record, reading));
+        resetChartZoom();
+    }
+}
+
+function plotReading(session, reading) {
+    const snapshot = session.devices.find(d => d.id === reading.deviceId) ||
+        { id: reading.deviceId, name: reading.device, color: paletteColors().series[0], chemicalId: null };
+    const x = new Date(reading.time).getTime();
+    getDeviceSeries(snapshot, 'temperature').data.push({ x, y: reading.temperature });
+    getDeviceSeries(snapshot, 'threshold').data.push({ x, y: reading.threshold });
+}
+
+// Replays the readings with their original spacing, REPLAY_SPEED times faster
+function replaySession(session) {
+    stopReplay();
+    const readings = session.readings;
+    let index = 0;
+
+    const step = () => {
+        if (index >= readings.length) {
+            replayTimer = null;
+            showToast(`Replay of "${session.name}" finished`, 'info');
+            return;
+        }
+        plotReading(session, readings[index]);
+        refreshChart();
+        index++;
+
+        const gap = index < readings.length
+            ? (new Date(readings[index].time) - new Date(readings[index - 1].time)) / REPLAY_SPEED
+            : 0;
+        replayTimer = setTimeout(step, Math.min(Math.max(gap, 10), 500));
+    };
+    step();
+}
+
+function stopReplay() {
+    if (replayTimer) {
+        clearTimeout(replayTimer);
+        replayTimer = null;
+    }
+}
+
+async function exportSession(id) {
+    const record = await getSession(id);
+    if (!record || record.readings.length === 0) {
+        showToast('This session has no readings to export', 'warning');
+        return;
+    }
+    const safeName = record.name.replace(/[^\w.-]+/g, '_');
+    const format = document.getElementById('session-export-format').value;
+    if (format === 'csv') {
+        downloadFile(buildReadingsCsv(record.readings, displayPrefs.unit), `${safeName}.csv`, 'text/csv');
+    } else {
+        downloadRun(buildRun({ session: record, readings: record.readings, alarmLog, chemicals }), safeName, format);
+    }
+    showToast('Session exported', 'success');
+}
+
+// The report includes the chart, so the session is opened on the dashboard first
+async function reportSession(id) {
+    await openSession(id);
+    if (viewedSession && viewedSession.id === id) printRunReport();
+}
+
+async function deleteSession(id, button) {
+    // Same inline confirmation as the chemical table
+    if (button.dataset.confirm !== 'true') {
+        button.dataset.confirm = 'true';
+        button.textContent = 'Confirm Delete?';
+        setTimeout(() => {
+            button.dataset.confirm = 'false';
+            button.textContent = 'Delete';
+        }, 5000);
+        return;
+    }
+
+    try {
+        const store = await dbStore('sessions', 'readwrite');
+        await promisifyRequest(store.delete(id));
+        if (viewedSession && viewedSession.id === id) clearChart();
+        if (currentSession && currentSession.id === id) currentSession.saved = false;
+        await loadSessions();
+        showToast('Session deleted', 'success');
+    } catch (err) {
+        console.error("Failed to delete session:", err);
+        showToast('Failed to delete session', 'error');
+    }
+}
+
+function renderSessionsTable() {
+    const tbody = document.getElementById('sessions-tbody');
+    tbody.innerHTML = '';
+
+    if (sessions.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" style="text-align: center; color: #718096; padding: 40px;">No saved sessions yet. Record some data and click "Save Data".</td></tr>';
+        return;
+    }
+
+    sessions.forEach(session => {
+        const row = document.createElement('tr');
+        const chemicalNames = [...new Set(session.devices.map(d => d.chemName).filter(Boolean))];
+        [session.name, displayDateTime(session.startedAt), formatDuration(session.startedAt, session.endedAt),
+            session.devices.map(d => d.name).join(', ') || '-', chemicalNames.join(', ') || '-', String(session.readings.length)]
+            .forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+
+        const actions = document.createElement('td');
+        actions.className = 'session-actions';
+        [['open', 'Open', 'btn-primary'], ['replay', 'Replay', 'btn-primary'], ['edit', 'Rename', 'btn-secondary'],
+            ['export', 'Export', 'btn-secondary'], ['report', 'Report', 'btn-secondary'], ['delete', 'Delete', 'btn-danger']].forEach(([action, label, style]) => {
+            const btn = document.createElement('button');
+            btn.className = `btn ${style}`;
+            btn.textContent = label;
+            btn.dataset.action = action;
+            btn.dataset.id = session.id;
+            actions.appendChild(btn);
+        });
+        row.appendChild(actions);
+        tbody.appendChild(row);
+    });
+}
+
+function handleSessionAction(e) {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+    const id = btn.dataset.id;
+
+    switch (btn.dataset.action) {
+        case 'open': openSession(id); break;
+        case 'replay': openSession(id, { replay: true }); break;
+        case 'edit': openSessionModal(sessions.find(s => s.id === id)); break;
+        case 'export': exportSession(id); break;
+        case 'report': reportSession(id); break;
+        case 'delete': deleteSession(id, btn); break;
+    }
+}
+
+function renderSessionDetails(session) {
+    const panel = document.getElementById('session-details');
+    panel.hidden = !session;
+    if (!session) return;
+
+    document.getElementById('session-details-name').textContent = session.name;
+    document.getElementById('session-details-notes').textContent = session.notes || 'No notes.';
+
+    const list = document.getElementById('session-details-thresholds');
+    list.innerHTML = '';
+    session.thresholdHistory.forEach(entry => {
+        const item = document.createElement('li');
+        const limits = [`alarm ${displayTemp(entry.threshold)}`];
+        if (entry.warningThreshold !== null) limits.push(`warn ${displayTemp(entry.warningThreshold)}`);
+        if (entry.lowThreshold !== null) limits.push(`low ${displayTemp(entry.lowThreshold)}`);
+        item.textContent = `${displayTime(entry.time)} · ${entry.device}: ${limits.join(', ')}` +
+            (entry.chemName ? ` (${entry.chemName})` : '');
+        list.appendChild(item);
+    });
+}
+
+// Tells the user whether the chart shows the live recording or a stored session
+function updateSessionBanner() {
+    const banner = document.getElementById('session-banner');
+    if (viewedSession) {
+        banner.textContent = `Viewing saved session "${viewedSession.name}" – Clear Chart to return to live data`;
+    } else if (currentSession) {
+        banner.textContent = `Recording session "${currentSession.name}"` + (currentSession.saved ? ' (saved)' : ' (not saved yet)');
+    } else {
+        banner.textContent = '';
+    }
+    banner.hidden = !banner.textContent;
+    if (!viewedSession) renderSessionDetails(null);
+}
+
+// Database functions
+let chemicalSort = { key: 'chemName', direction: 1 };
+
+function formatChemicalTemp(value) {
+    return displayTemp(value);
+}
+
+function renderChemicalsTable() {
+    const tbody = document.getElementById('chemicals-tbody');
+    tbody.innerHTML = '';
+    renderChemicalSortHeaders();
+    
+    if (chemicals.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="9" style="text-align: center; color: #718096; padding: 40px;">No chemicals added yet. Click "Add Chemical" to get started.</td></tr>';
+        return;
+    }
+
+    const searchTerm = document.getElementById('search-input').value;
+    const visible = sortChemicals(chemicals.filter(chemical => chemicalMatchesSearch(chemical, searchTerm)),
+        chemicalSort.key, chemicalSort.direction);
+    if (visible.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="9" style="text-align: center; color: #718096; padding: 40px;">No chemicals match the search.</td></tr>';
+        return;
+    }
+    
+    // Built with DOM APIs only: every value here is user input. Clicks are handled by
+    // handleChemicalAction() on the tbody.
+    visible.forEach(chemical => {
+        const row = document.createElement('tr');
+        [chemical.chemName, chemical.formula, chemical.casNumber || '-', formatChemicalTemp(chemical.boilingPoint),
+            formatChemicalTemp(chemical.freezingPoint), formatChemicalTemp(chemical.flashPoint),
+            formatChemicalTemp(chemical.maxSafeTemp)]
+            .forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+
+        const hazardCell = document.createElement('td');
+        const hazard = document.createElement('span');
+        hazard.className = `hazard-${String(chemical.hazardLevel).toLowerCase()}`;
+        hazard.textContent = chemical.hazardLevel;
+        hazardCell.appendChild(hazard);
+        row.appendChild(hazardCell);
+
+        const actions = document.createElement('td');
+        actions.className = 'chemical-actions';
+        [['details', 'Details', 'btn-secondary'], ['edit', 'Edit', 'btn-primary'], ['delete', 'Delete', 'btn-danger']]
+            .forEach(([action, label, style]) => {
+                const btn = document.createElement('button');
+                btn.className = `btn ${style}`;
+                btn.textContent = label;
+                btn.dataset.action = action;
+                btn.dataset.id = chemical.__backendId;
+                actions.appendChild(btn);
+            });
+        row.appendChild(actions);
+        tbody.appendChild(row);
+    });
+}
+
+function handleChemicalAction(e) {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+    const id = btn.dataset.id;
+
+    switch (btn.dataset.action) {
+        case 'details': showChemicalDetails(id); break;
+        case 'edit': editChemical(id); break;
+        case 'delete': deleteChemical(id, btn); break;
+        case 'cancel-delete': resetChemicalDelete(btn.parentNode.querySelector('[data-action="delete"]')); break;
+    }
+}
+
+function renderChemicalSortHeaders() {
+    document.querySelectorAll('#chemicals-table th[data-sort]').forEach(th => {
+        const sorted = th.dataset.sort === chemicalSort.key;
+        th.classList.toggle('sorted-asc', sorted && chemicalSort.direction === 1);
+        th.classList.toggle('sorted-desc', sorted && chemicalSort.direction === -1);
+    });
+}
+
+// Clicking a column header sorts by it; clicking it again reverses the order
+function sortChemicalTable(e) {
+    const th = e.target.closest('th[data-sort]');
+    if (!th) return;
+    const key = th.dataset.sort;
+    chemicalSort = { key, direction: chemicalSort.key === key ? -chemicalSort.direction : 1 };
+    renderChemicalsTable();
+}
+
+function populateGhsOptions() {
+    const fieldset = document.getElementById('ghs-options');
+    Object.entries(GHS_PICTOGRAMS).forEach(([code, name]) => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.name = 'ghs';
+        checkbox.value = code;
+        label.append(checkbox, `${code} · ${name}`);
+        fieldset.appendChild(label);
+    });
+}
+
+function showChemicalDetails(id) {
+    const chemical = chemicals.find(c => c.__backendId === id);
+    if (!chemical) return;
+
+    document.getElementById('chemical-detail-title').textContent = chemical.chemName;
+
+    const badges = document.getElementById('chemical-detail-ghs');
+    badges.innerHTML = '';
+    (chemical.ghsPictograms || []).forEach(code => {
+        const badge = document.createElement('span');
+        badge.className = 'ghs-badge';
+        badge.textContent = `${code} ${GHS_PICTOGRAMS[code] || ''}`.trim();
+        badges.appendChild(badge);
+    });
+
+    const { threshold, warningThreshold, lowThreshold } = fitAlarmLimits(deriveChemicalThresholds(chemical, { warningMargin, highHazardMargin })).limits;
+    const fields = [
+        ['Formula', chemical.formula],
+        ['CAS Number', chemical.casNumber || '-'],
+        ['Boiling Point', formatChemicalTemp(chemical.boilingPoint)],
+        ['Freezing Point', formatChemicalTemp(chemical.freezingPoint)],
+        ['Flash Point', formatChemicalTemp(chemical.flashPoint)],
+        ['Autoignition', formatChemicalTemp(chemical.autoignitionTemp)],
+        ['Max Safe Operating', formatChemicalTemp(chemical.maxSafeTemp)],
+        ['Hazard Level', chemical.hazardLevel],
+        ['GHS Pictograms', (chemical.ghsPictograms || []).length ? chemical.ghsPictograms.join(', ') : 'None recorded'],
+        ['Linked Thresholds', `alarm ${displayTemp(threshold)} · warning ${displayTemp(warningThreshold)} · low ${displayTemp(lowThreshold)}`],
+        ['Notes', chemical.notes || '-']
+    ];
+    const list = document.getElementById('chemical-detail-list');
+    list.innerHTML = '';
+    fields.forEach(([term, value]) => {
+        const dt = document.createElement('dt');
+        const dd = document.createElement('dd');
+        dt.textContent = term;
+        dd.textContent = value;
+        list.append(dt, dd);
+    });
+
+    document.getElementById('chemical-detail-edit').onclick = () => {
+        closeChemicalDetails();
+        editChemical(id);
+    };
+    document.getElementById('chemical-detail-modal').style.display = 'block';
+}
+
+function closeChemicalDetails() {
+    document.getElementById('chemical-detail-modal').style.display = 'none';
+}
+
+function openAddModal() {
+    editingChemical = null;
+    document.getElementById('modal-title').textContent = 'Add Chemical';
+    document.getElementById('chemical-form').reset();
+    document.getElementById('chemical-modal').style.display = 'block';
+}
+
+function editChemical(id) {
+    editingChemical = chemicals.find(c => c.__backendId === id);
+    if (!editingChemical) return;
+    
+    document.getElementById('modal-title').textContent = 'Edit Chemical';
+    document.getElementById('chem-name').value = editingChemical.chemName;
+    document.getElementById('chem-formula').value = editingChemical.formula;
+    document.getElementById('chem-cas').value = editingChemical.casNumber || '';
+    document.getElementById('boiling-point').value = tempInputValue(editingChemical.boilingPoint);
+    document.getElementById('freezing-point').value = tempInputValue(editingChemical.freezingPoint);
+    document.getElementById('flash-point').value = tempInputValue(editingChemical.flashPoint);
+    document.getElementById('autoignition-temp').value = tempInputValue(editingChemical.autoignitionTemp);
+    document.getElementById('max-safe-temp').value = tempInputValue(editingChemical.maxSafeTemp);
+    document.getElementById('hazard-level').value = editingChemical.hazardLevel;
+    document.querySelectorAll('#ghs-options input[name="ghs"]').forEach(checkbox => {
+        checkbox.checked = (editingChemical.ghsPictograms || []).includes(checkbox.value);
+    });
+    document.getElementById('chem-notes').value = editingChemical.notes || '';
+    document.getElementById('chemical-modal').style.display = 'block';
+}
+
+async function deleteChemical(id, button) {
+    const chemical = chemicals.find(c => c.__backendId === id);
+    if (!chemical) return;
+
+    // First click turns the button into an inline confirmation with a Cancel button,
+    // which cancels itself after 5 seconds
+    if (button.dataset.confirm !== 'true') {
+        button.dataset.confirm = 'true';
+        button.textContent = 'Confirm Delete?';
+        button.style.background = '#c53030';
+
+        const cancelBtn = document.createElement('button');
+        cancelBtn.className = 'btn btn-secondary';
+        cancelBtn.textContent = 'Cancel';
+        cancelBtn.dataset.action = 'cancel-delete';
+        button.after(cancelBtn);
+
+        button.dataset.timer = String(setTimeout(() => resetChemicalDelete(button), 5000));
+        return;
+    }
+
+    resetChemicalDelete(button);
+    if (!hasChemicalStore()) return;
+    const result = await chemicalStore.delete(chemical);
+    if (result.isOk) {
+        showToast('Chemical deleted successfully', 'success');
+    } else {
+        showToast('Failed to delete chemical', 'error');
+    }
+}
+
+function resetChemicalDelete(button) {
+    if (!button || button.dataset.confirm !== 'true') return;
+    clearTimeout(Number(button.dataset.timer));
+    button.dataset.confirm = 'false';
+    button.textContent = 'Delete';
+    button.style.background = '';
+    const cancelBtn = button.parentNode.querySelector('[data-action="cancel-delete"]');
+    if (cancelBtn) cancelBtn.remove();
+}
+
+function closeModal() {
+    document.getElementById('chemical-modal').style.display = 'none';
+    editingChemical = null;
+}
+
+// Blank optional fields are stored as null ("not known")
+function optionalTempInput(id) {
+    return document.getElementById(id).value.trim() === '' ? null : readTempInput(id);
+}
+
+// Form submission
+document.getElementById('chemical-form').addEventListener('submit', async function(e) {
+    e.preventDefault();
+    
+    if (recordCount >= MAX_CHEMICALS) {
+        showToast(`Maximum limit of ${MAX_CHEMICALS} chemicals reached. Please delete some chemicals first.`, 'error');
+        return;
+    }
+    
+    const formData = {
+        id: editingChemical ? editingChemical.id : Date.now().toString(),
+        chemName: document.getElementById('chem-name').value,
+        formula: document.getElementById('chem-formula').value,
+        casNumber: document.getElementById('chem-cas').value.trim(),
+        boilingPoint: readTempInput('boiling-point'),
+        freezingPoint: readTempInput('freezing-point'),
+        flashPoint: optionalTempInput('flash-point'),
+        autoignitionTemp: optionalTempInput('autoignition-temp'),
+        maxSafeTemp: optionalTempInput('max-safe-temp'),
+        hazardLevel: document.getElementById('hazard-level').value,
+        ghsPictograms: [...document.querySelectorAll('#ghs-options input[name="ghs"]:checked')].map(checkbox => checkbox.value),
+        notes: document.getElementById('chem-notes').value
+    };
+
+    const errors = validateChemical(formData);
+    if (errors.length) {
+        showToast(errors[0], 'warning');
+        return;
+    }
+    
+    if (!hasChemicalStore()) return;
+
+    let result;
+    if (editingChemical) {
+        result = await chemicalStore.update({ ...formData, __backendId: editingChemical.__backendId });
+    } else {
+        result = await chemicalStore.create(formData);
+    }
+    
+    if (result.isOk) {
+        showToast(editingChemical ? 'Chemical updated successfully' : 'Chemical added successfully', 'success');
+        closeModal();
+    } else {
+        showToast('Failed to save chemical', 'error');
+    }
+});
+
+// --- Chemical import & export ---
+// Imports (a CSV/JSON file or the built-in solvent library) are planned with
+// planChemicalImport() and shown in a preview; nothing is written until Apply.
+let pendingImport = null; // { source, incoming, plan }
+
+function exportChemicals(format) {
+    if (chemicals.length === 0) {
+        showToast('No chemicals to export', 'warning');
+        return;
+    }
+
+    const date = new Date().toISOString().split('T')[0];
+    if (format === 'json') {
+        const records = chemicals.map(chemical => Object.fromEntries(
+            CHEMICAL_COLUMNS.map(column => [column.key, chemical[column.key] ?? ''])));
+        const file = { exportedAt: new Date().toISOString(), count: records.length, chemicals: records };
+        downloadFile(JSON.stringify(file, null, 2), `chemicals_${date}.json`, 'application/json');
+    } else {
+        downloadFile(buildChemicalsCsv(chemicals), `chemicals_${date}.csv`, 'text/csv');
+    }
+    showToast(`Exported ${chemicals.length} chemicals`, 'success');
+}
+
+function openChemicalImport() {
+    const input = document.getElementById('chemical-import-file');
+    input.value = ''; // allow picking the same file again
+    input.click();
+}
+
+async function handleChemicalImportFile(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    let incoming;
+    try {
+        const text = await file.text();
+        const isJson = /\.json$/i.test(file.name) || /^\s*[[{]/.test(text);
+        incoming = isJson ? chemicalsFromJson(text) : chemicalsFromCsvRows(parseCsv(text));
+    } catch (err) {
+        console.error(err);
+        showToast(`Could not read ${file.name}: ${err.message}`, 'error');
+        return;
+    }
+
+    if (incoming.length === 0) {
+        showToast(`${file.name} contains no chemicals`, 'warning');
+        return;
+    }
+    previewChemicalImport(incoming, file.name);
+}
+
+function loadSeedChemicals() {
+    previewChemicalImport(SEED_CHEMICALS, 'the solvent library');
+}
+
+function previewChemicalImport(incoming, source) {
+    pendingImport = { source, incoming, plan: [] };
+    document.getElementById('import-modal-title').textContent = `Import from ${source}`;
+    renderImportPreview();
+    document.getElementById('import-modal').style.display = 'block';
+}
+
+function renderImportPreview() {
+    if (!pendingImport) return;
+    const duplicates = document.getElementById('import-duplicates').value;
+    const plan = planChemicalImport(pendingImport.incoming, chemicals, duplicates);
+    pendingImport.plan = plan;
+
+    const count = action => plan.filter(entry => entry.action === action).length;
+    const writes = count('add') + count('update');
+    const warnings = plan.filter(entry => entry.warning).length;
+    document.getElementById('import-summary').textContent =
+        `${count('add')} new · ${count('update')} updated · ${count('skip')} skipped · ${count('invalid')} invalid` +
+        (warnings ? ` · ${warnings} to check` : '');
+    document.getElementById('import-apply-btn').disabled = writes === 0;
+
+    const tbody = document.getElementById('import-preview-tbody');
+    tbody.innerHTML = '';
+    plan.forEach(({ action, chemical, reason, warning }) => {
+        const row = document.createElement('tr');
+        row.className = `import-${action}`;
+        row.classList.toggle('import-warning', Boolean(warning));
+        [action, chemical.chemName || '-', chemical.formula || '-', formatImportNumber(chemical.boilingPoint),
+            formatImportNumber(chemical.freezingPoint), chemical.hazardLevel || '-', warning || reason || '']
+            .forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+        tbody.appendChild(row);
+    });
+}
+
+function formatImportNumber(value) {
+    return Number.isFinite(value) ? String(value) : '-';
+}
+
+async function applyChemicalImport() {
+    if (!pendingImport || !hasChemicalStore()) return;
+
+    const additions = pendingImport.plan.filter(entry => entry.action === 'add');
+    const updates = pendingImport.plan.filter(entry => entry.action === 'update');
+    if (recordCount + additions.length > MAX_CHEMICALS) {
+        showToast(`Importing ${additions.length} chemicals would exceed the limit of ${MAX_CHEMICALS}`, 'error');
+        return;
+    }
+
+    const button = document.getElementById('import-apply-btn');
+    button.disabled = true;
+    let failed = 0;
+    const baseId = Date.now();
+
+    for (const [i, { chemical }] of additions.entries()) {
+        const result = await chemicalStore.create({ id: `${baseId}-${i}`, ...chemical });
+        if (!result.isOk) failed++;
+    }
+    for (const { chemical, existing } of updates) {
+        const result = await chemicalStore.update({ ...existing, ...chemical });
+        if (!result.isOk) failed++;
+    }
+
+    const written = additions.length + updates.length - failed;
+    closeImportModal();
+    if (failed) {
+        showToast(`Imported ${written} chemicals; ${failed} could not be saved`, 'error');
+    } else {
+        showToast(`Imported ${additions.length} new and ${updates.length} updated chemicals`, 'success');
+    }
+}
+
+function closeImportModal() {
+    document.getElementById('import-modal').style.display = 'none';
+    pendingImport = null;
+}
+
+document.getElementById('chemical-import-file').addEventListener('change', handleChemicalImportFile);
+document.getElementById('import-duplicates').addEventListener('change', renderImportPreview);
+
+// Toast notification function
+function showToast(message, type = 'info') {
+    const toast = document.createElement('div');
+    toast.style.cssText = `
+        position: fixed;
         top: 20px;
         right: 20px;
         padding: 12px 20px;
@@ -637,6 +3767,15 @@ window.onclick = function(event) {
     if (event.target === modal) {
         closeModal();
     }
+    if (event.target === document.getElementById('session-modal')) {
+        closeSessionModal();
+    }
+    if (event.target === document.getElementById('import-modal')) {
+        closeImportModal();
+    }
+    if (event.target === document.getElementById('chemical-detail-modal')) {
+        closeChemicalDetails();
+    }
 };
 
 // Initialize app when page loads
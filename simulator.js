@@ -0,0 +1,387 @@
+// ESP32 simulator: a stand-in for the firmware in sketch_oct24a_v2 that speaks the same /ws
+// protocol (plain-text commands, paged get_record, JSON commands, alarm/config events).
+// The dashboard runs it in the browser for "sim:<profile>" device addresses, and
+// tools/mock-esp32.js serves it over a real WebSocket for end-to-end testing.
+
+// Profile options (all temperatures in °C, times in seconds):
+//   start/target → where the run begins and settles
+//   rate         → linear ramp speed in °C/s, or
+//   tau          → time constant of an exponential approach (used instead of rate)
+//   overshoot    → peak of a damped swing past the target once it is reached
+//   noise        → standard deviation of the measurement noise
+//   faultEvery / faultFor → report an open thermocouple for faultFor s every faultEvery s
+const SIMULATOR_PROFILES = {
+    ramp: { label: 'Ramp', start: 25, target: 150, rate: 1, noise: 0.2 },
+    plateau: { label: 'Plateau', start: 25, target: 80, rate: 2, noise: 0.3 },
+    overshoot: { label: 'Overshoot', start: 25, target: 100, rate: 2, overshoot: 12, noise: 0.2 },
+    cooling: { label: 'Cooling', start: 120, target: 25, tau: 90, noise: 0.2 },
+    noise: { label: 'Noisy ambient', start: 25, target: 25, rate: 0, noise: 1.5 },
+    fault: { label: 'Sensor fault', start: 25, target: 60, rate: 1, noise: 0.2, faultEvery: 40, faultFor: 6 }
+};
+
+const SIMULATOR_OPTIONS = ['start', 'target', 'rate', 'tau', 'overshoot', 'noise', 'faultEvery', 'faultFor'];
+const SIMULATOR_VERSION = '2.2.0-sim'; // FIRMWARE_VERSION it mirrors, plus "-sim"
+const SIMULATOR_RECORD_CAPACITY = 10000; // same ring size as the firmware
+const SIMULATOR_PAGE_DEFAULT = 100;
+const SIMULATOR_PAGE_MAX = 200;
+const SIMULATOR_LIMIT_RANGE = { min: -200, max: 1350 }; // firmware LIMIT_MIN_C..LIMIT_MAX_C, °C
+
+// "sim:overshoot?target=120&noise=0.5" → options for createSimulatedFirmware().
+// Anything after "#" only keeps addresses unique and is ignored.
+function parseSimulatorAddress(address) {
+    const match = /^sim:([a-z]+)(?:\?([^#]*))?(?:#.*)?$/i.exec(address.trim());
+    if (!match) throw new Error(`"${address}" is not a simulator address (sim:<profile>?option=value)`);
+
+    const name = match[1].toLowerCase();
+    if (!SIMULATOR_PROFILES[name]) {
+        throw new Error(`Unknown simulator profile "${name}" (${Object.keys(SIMULATOR_PROFILES).join(', ')})`);
+    }
+
+    const options = { ...SIMULATOR_PROFILES[name], profile: name };
+    new URLSearchParams(match[2] || '').forEach((value, key) => {
+        const number = parseFloat(value);
+        if (!SIMULATOR_OPTIONS.includes(key) || isNaN(number)) {
+            throw new Error(`Invalid simulator option "${key}=${value}"`);
+        }
+        options[key] = number;
+    });
+    return options;
+}
+
+// Noise-free temperature of a profile t seconds after boot
+function simulatedTemperature(profile, t) {
+    const { start, target } = profile;
+    if (profile.tau) {
+        return target + (start - target) * Math.exp(-t / profile.tau);
+    }
+
+    const distance = target - start;
+    const rampTime = profile.rate > 0 ? Math.abs(distance) / profile.rate : 0;
+    if (t < rampTime) return start + Math.sign(distance) * profile.rate * t;
+
+    // Damped swing past the target: up first, then settling over a few periods
+    const after = t - rampTime;
+    const swing = profile.overshoot ? profile.overshoot * Math.exp(-after / 20) * Math.sin(after * 2 * Math.PI / 30) : 0;
+    return target + (distance < 0 ? -swing : swing);
+}
+
+function simulatedFault(profile, t) {
+    if (!profile.faultEvery) return null;
+    return t % profile.faultEvery >= profile.faultEvery - profile.faultFor ? 'thermocouple open' : null;
+}
+
+// Box-Muller transform: normally distributed noise with the given standard deviation
+function gaussianNoise(sigma) {
+    if (!sigma) return 0;
+    const u = 1 - Math.random();
+    const v = Math.random();
+    return sigma * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// One simulated board. Hosts attach clients with connect(send, close) and pass every
+// message a client sends to handle(message, reply).
+function createSimulatedFirmware(options = {}) {
+    const profile = { ...SIMULATOR_PROFILES.ramp, ...options };
+    const clients = new Set();
+    const settings = {
+        interval: 1000,
+        threshold: 100,
+        warning: null,
+        low: null,
+        hysteresis: 1,
+        network: { static: true, ip: '192.168.1.200', gateway: '192.168.1.1', subnet: '255.255.255.0', dns: '8.8.8.8' },
+        pins: { so: 19, cs: 5, sck: 18, alarm: 25 }
+    };
+    const alarmOrder = ['none', 'warning', 'fault', 'critical'];
+    const rules = { over: false, warning: false, under: false, fault: false };
+
+    let boot = 1;
+    let bootedAt = Date.now();
+    let seq = 0;
+    let recording = false;
+    let records = [];
+    let total = 0;
+    let alarmLevel = 'none';
+    let acknowledged = false;
+    let snoozeUntil = 0;
+    let timer = null;
+    let rebootTimer = null;
+
+    const uptime = () => Date.now() - bootedAt;
+    const broadcast = message => clients.forEach(client => client.send(message));
+
+    function startSampling() {
+        clearInterval(timer);
+        timer = setInterval(sample, settings.interval);
+    }
+
+    function sample() {
+        const t = uptime() / 1000;
+        const fault = simulatedFault(profile, t);
+        const frame = { uptime: uptime(), seq: ++seq, boot };
+
+        if (snoozeUntil && Date.now() >= snoozeUntil) {
+            snoozeUntil = 0; // snooze ran out, the alarm sounds again
+            broadcast({ event: 'alarm', alarm: alarmState() });
+        }
+
+        if (fault) {
+            frame.status = 'fault';
+            frame.error = fault;
+        } else {
+            frame.temperature = Math.round((simulatedTemperature(profile, t) + gaussianNoise(profile.noise)) * 100) / 100;
+            frame.status = 'ok';
+            if (recording) appendRecord({ seq: frame.seq, uptime: frame.uptime, boot, temperature: frame.temperature });
+        }
+
+        evaluateAlarm(frame.temperature, fault);
+        broadcast(frame);
+    }
+
+    function appendRecord(reading) {
+        records.push(reading);
+        if (records.length > SIMULATOR_RECORD_CAPACITY) records.shift();
+        total++;
+    }
+
+    function recordPage(query) {
+        const first = total - records.length;
+        const from = Math.min(Math.max(parseInt(query.get('from'), 10) || first, first), total);
+        const count = Math.min(parseInt(query.get('count'), 10) || SIMULATOR_PAGE_DEFAULT, SIMULATOR_PAGE_MAX, total - from);
+        const data = records.slice(from - first, from - first + count);
+        return { data, from, next: from + data.length, first, total };
+    }
+
+    // --- Alarm: same rules as the firmware ---
+    function ruleActive(wasActive, value, limit, above) {
+        if (limit === null) return false;
+        const band = wasActive ? settings.hysteresis : 0;
+        return above ? value >= limit - band : value <= limit + band;
+    }
+
+    function silenced() {
+        return acknowledged || snoozeUntil > Date.now();
+    }
+
+    function alarmState() {
+        return {
+            level: alarmLevel,
+            rules: Object.keys(rules).filter(rule => rules[rule]),
+            acknowledged,
+            snoozed: !acknowledged && silenced()
+        };
+    }
+
+    function evaluateAlarm(temp, fault) {
+        const before = JSON.stringify(rules);
+        rules.fault = Boolean(fault);
+        if (!fault) {
+            rules.over = ruleActive(rules.over, temp, settings.threshold, true);
+            rules.warning = ruleActive(rules.warning, temp, settings.warning, true);
+            rules.under = ruleActive(rules.under, temp, settings.low, false);
+        }
+
+        const level = rules.over ? 'critical' : rules.fault ? 'fault' : (rules.warning || rules.under) ? 'warning' : 'none';
+        if (alarmOrder.indexOf(level) > alarmOrder.indexOf(alarmLevel) || level === 'none') {
+            acknowledged = false;
+            snoozeUntil = 0;
+        }
+        if (level !== alarmLevel || JSON.stringify(rules) !== before) {
+            alarmLevel = level;
+            broadcast({ event: 'alarm', alarm: alarmState() });
+        }
+    }
+
+    // --- JSON commands ---
+    function config() {
+        return { interval: settings.interval, threshold: settings.threshold, warning: settings.warning, low: settings.low,
+            hysteresis: settings.hysteresis, network: { ...settings.network }, pins: { ...settings.pins } };
+    }
+
+    function limit(request, name, nullable, current) {
+        if (!(name in request)) return current;
+        if (request[name] === null && nullable) return null;
+        if (typeof request[name] !== 'number') throw new Error('limits must be numbers (warning and low may be null)');
+        return request[name];
+    }
+
+    function runCommand(request) {
+        switch (request.cmd) {
+            case 'get_info':
+                return {
+                    firmware: SIMULATOR_VERSION, protocol: 1, chip: `Simulator (${profile.profile || 'custom'})`,
+                    mac: '00:00:00:00:00:00', ip: settings.network.ip, uptime: uptime(), boot, freeHeap: 200000,
+                    recording, recorded: records.length, recordCapacity: SIMULATOR_RECORD_CAPACITY, alarm: alarmState()
+                };
+            case 'get_config':
+                return config();
+            case 'set_interval': {
+                const interval = request.interval;
+                if (!Number.isInteger(interval) || interval < 250 || interval > 60000) throw new Error('interval must be 250-60000 ms');
+                settings.interval = interval;
+                startSampling();
+                return config();
+            }
+            case 'set_threshold': {
+                const threshold = limit(request, 'threshold', false, settings.threshold);
+                const warning = limit(request, 'warning', true, settings.warning);
+                const low = limit(request, 'low', true, settings.low);
+                const hysteresis = limit(request, 'hysteresis', false, settings.hysteresis);
+                const inRange = value => value >= SIMULATOR_LIMIT_RANGE.min && value <= SIMULATOR_LIMIT_RANGE.max;
+                if (![threshold, warning, low].every(value => value === null || inRange(value))) {
+                    throw new Error('limits must be between -200 and 1350 °C');
+                }
+                if (warning !== null && warning >= threshold) throw new Error('warning must be below the threshold');
+                if (low !== null && low >= (warning === null ? threshold : warning)) throw new Error('low must be below the warning and threshold');
+                if (hysteresis < 0) throw new Error('hysteresis must not be negative');
+                Object.assign(settings, { threshold, warning, low, hysteresis });
+                broadcast({ event: 'config', config: config() });
+                return config();
+            }
+            case 'set_network': {
+                const useStatic = request.static !== false;
+                const fields = ['ip', 'gateway', 'subnet', 'dns'];
+                const ipv4 = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
+                if (useStatic && !fields.every(f => ipv4.test(request[f] || '') && request[f].split('.').every(n => n <= 255))) {
+                    throw new Error('ip, gateway, subnet and dns must be IPv4 addresses');
+                }
+                settings.network.static = useStatic;
+                if (useStatic) fields.forEach(f => { settings.network[f] = request[f]; });
+                return { ...config(), restartRequired: true };
+            }
+            case 'set_pins': {
+                const pins = { so: request.so, cs: request.cs, sck: request.sck, alarm: 'alarm' in request ? request.alarm : settings.pins.alarm };
+                if (!Object.values(pins).every(pin => Number.isInteger(pin) && pin >= 0 && pin <= 39)) {
+                    throw new Error('so, cs, sck and alarm must be valid GPIO numbers');
+                }
+                settings.pins = pins;
+                return { ...config(), restartRequired: true };
+            }
+            case 'get_alarm':
+                return alarmState();
+            case 'ack_alarm':
+                if (alarmLevel === 'none') throw new Error('no active alarm');
+                if (request.minutes > 0) {
+                    snoozeUntil = Date.now() + request.minutes * 60000;
+                } else {
+                    acknowledged = true;
+                }
+                broadcast({ event: 'alarm', alarm: alarmState() });
+                return alarmState();
+            case 'reboot':
+                clearTimeout(rebootTimer);
+                rebootTimer = setTimeout(reboot, 500); // give the reply time to go out
+                return { rebooting: true };
+            default:
+                throw new Error('unknown command');
+        }
+    }
+
+    function handleJson(message, reply) {
+        let request;
+        try {
+            request = JSON.parse(message);
+        } catch (err) {
+            reply({ v: 1, ok: false, error: 'invalid JSON' });
+            return;
+        }
+        try {
+            if (request.v !== 1) throw new Error('unsupported protocol version');
+            reply({ v: 1, id: request.id, ok: true, result: runCommand(request) });
+        } catch (err) {
+            reply({ v: 1, id: request.id, ok: false, error: err.message });
+        }
+    }
+
+    // Like a power cycle: clients drop, uptime and seq restart, the recording carries on
+    function reboot() {
+        clients.forEach(client => client.close());
+        clients.clear();
+        boot++;
+        bootedAt = Date.now();
+        seq = 0;
+        alarmLevel = 'none';
+        acknowledged = false;
+        snoozeUntil = 0;
+        Object.keys(rules).forEach(rule => { rules[rule] = false; });
+        startSampling();
+    }
+
+    startSampling();
+
+    return {
+        profile,
+
+        // Returns a function that detaches the client again
+        connect(send, close) {
+            const client = { send, close };
+            clients.add(client);
+            return () => clients.delete(client);
+        },
+
+        handle(message, reply) {
+            if (message.startsWith('{')) {
+                handleJson(message, reply);
+            } else if (message === 'test') {
+                reply({ status: 'ok' });
+            } else if (message === 'start_record') {
+                recording = true;
+                records = [];
+                total = 0;
+                reply({ recording: 'started' });
+            } else if (message === 'end_record') {
+                recording = false;
+                reply({ recording: 'stopped' });
+            } else if (message === 'get_record' || message.startsWith('get_record?')) {
+                reply(recordPage(new URLSearchParams(message.split('?')[1] || '')));
+            } else {
+                reply({ error: 'unknown command' });
+            }
+        },
+
+        stop() {
+            clearInterval(timer);
+            clearTimeout(rebootTimer);
+            clients.forEach(client => client.close());
+            clients.clear();
+        }
+    };
+}
+
+// WebSocket look-alike around a simulated board, so connect() in script.js can treat it
+// like a real socket (readyState, send, close and the on* handlers)
+function createSimulatedSocket(firmware) {
+    const socket = { readyState: 0, onopen: null, onmessage: null, onclose: null, onerror: null };
+    let detach = null;
+
+    // Deliver asynchronously, like the network would
+    const deliver = message => setTimeout(() => {
+        if (socket.readyState === 1 && socket.onmessage) socket.onmessage({ data: JSON.stringify(message) });
+    }, 0);
+
+    socket.send = text => {
+        if (socket.readyState === 1) firmware.handle(String(text), deliver);
+    };
+
+    socket.close = () => {
+        if (socket.readyState > 1) return;
+        socket.readyState = 3;
+        if (detach) detach();
+        setTimeout(() => {
+            if (socket.onclose) socket.onclose({ code: 1000 });
+        }, 0);
+    };
+
+    setTimeout(() => {
+        if (socket.readyState !== 0) return;
+        socket.readyState = 1;
+        detach = firmware.connect(deliver, socket.close);
+        if (socket.onopen) socket.onopen();
+    }, 0);
+
+    return socket;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SIMULATOR_PROFILES, parseSimulatorAddress, createSimulatedFirmware };
+}
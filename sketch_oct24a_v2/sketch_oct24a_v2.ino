@@ -7,14 +7,68 @@
  * - WebSocket server endpoint at `/ws` for real-time data
  * - Reads actual temperature from MAX6675 sensor
  * - Supports recording start/stop and retrieval commands
+ * - Recordings live in a fixed-size ring buffer on LittleFS and survive reboots
+ * - Sample interval, threshold, static IP and sensor pins are set at runtime
+ *   through JSON commands and kept in NVS
+ * - Evaluates the alarm limits itself and drives a buzzer/relay GPIO, so alarms
+ *   sound even when no dashboard is open
+ * - Serves the dashboard itself from LittleFS (/www/), plus a small HTTP API
+ *
+ * Telemetry frame (every sample interval, default 1 s, to all clients):
+ *   { "temperature": 25.5, "uptime": 123456, "seq": 42, "boot": 7, "status": "ok" }
+ *   - uptime → millis() when the reading was taken
+ *   - seq    → frame counter, +1 per reading (restarts at 1 after a reboot)
+ *   - boot   → boot counter, +1 on every power-up
+ *   - status → sensor status
+ *
+ * Sensor fault frame (sent instead of a reading, same uptime/seq stamping):
+ *   { "uptime": 123456, "seq": 43, "boot": 7, "status": "fault", "error": "thermocouple open" }
+ *   Faulty samples are not recorded.
+ *
+ * Events (broadcast to all clients when something changes):
+ *   { "event": "alarm",  "alarm": { "level", "rules": [...], "acknowledged", "snoozed" } }
+ *   { "event": "config", "config": { ... same shape as get_config ... } }
  *
  * Commands:
  *   - "test"          → replies { "status": "ok" }
- *   - "start_record"  → begins saving temperature readings
+ *   - "start_record"  → clears the buffer and begins saving temperature readings
  *   - "end_record"    → stops recording
- *   - "get_record"    → sends recorded readings as JSON array
+ *   - "get_record?from=<n>&count=<m>"
+ *                     → sends one page of the recording as
+ *                       { "data": [ { "seq", "uptime", "boot", "temperature" }, ... ],
+ *                         "from", "next", "first", "total" }
+ *                       n counts readings since start_record (default: oldest kept),
+ *                       m is capped at RECORD_PAGE_MAX. Ask again with from=next
+ *                       until next == total. Readings older than "first" were overwritten.
+ *
+ * JSON commands (protocol version 1):
+ *   → { "v": 1, "id": 7, "cmd": "set_interval", "interval": 500 }
+ *   ← { "v": 1, "id": 7, "ok": true, "result": { ... } }
+ *   ← { "v": 1, "id": 7, "ok": false, "error": "interval must be 250-60000 ms" }
+ *   - "get_info"      → firmware/protocol version, chip, MAC, IP, uptime, boot, heap, recording
+ *   - "get_config"    → current settings (same shape as every set_* result)
+ *   - "set_interval"  → { "interval": ms }                  applied immediately
+ *   - "set_threshold" → { "threshold": °C, "warning": °C|null, "low": °C|null, "hysteresis": °C }
+ *                       applied immediately; omitted fields are left unchanged;
+ *                       limits must lie within LIMIT_MIN_C..LIMIT_MAX_C (-200..1350 °C)
+ *   - "set_network"   → { "static": true, "ip", "gateway", "subnet", "dns" }  after reboot
+ *   - "set_pins"      → { "so", "cs", "sck", "alarm" }      after reboot
+ *   - "get_alarm"     → current alarm state
+ *   - "ack_alarm"     → { "minutes": n } silences the alarm output (n > 0: snooze for n
+ *                       minutes, otherwise until the alarm clears or escalates)
+ *   - "reboot"        → replies, then restarts the board
  *
- * @note Default static IP: 192.168.1.200
+ * HTTP:
+ *   - GET  /             → the dashboard (index.html and its files from /www/ on LittleFS),
+ *                          or a plain-text note when it has not been uploaded
+ *   - GET  /api/status   → get_info fields plus "config" (as get_config) and "reading"
+ *                          (the last telemetry frame, null before the first one)
+ *   - GET  /api/record?from=<n>&count=<m>
+ *                        → one page of the recording, same as get_record
+ *   - POST /api/record?action=start|stop
+ *                        → same as start_record / end_record
+ *
+ * @note Default static IP: 192.168.1.200 (change it with set_network)
  * @author 
  * Mark Jayson Lanuzo
  * @date 2025-10-25
@@ -24,31 +78,110 @@
 #include <ESPAsyncWebServer.h>     ///< Asynchronous HTTP & WebSocket server
 #include <AsyncTCP.h>              ///< Required TCP library for ESPAsyncWebServer
 #include <ArduinoJson.h>           ///< JSON creation and serialization
-#include <vector>                  ///< Used for recording temperature data
+#include <LittleFS.h>              ///< Flash filesystem: recording ring buffer and dashboard files
+#include <Preferences.h>           ///< NVS storage for the device settings
 #include <max6675.h>               ///< MAX6675 thermocouple library
 
 // -------------------- GLOBAL OBJECTS --------------------
 AsyncWebServer server(80);         ///< Web server running on port 80
 AsyncWebSocket ws("/ws");          ///< WebSocket endpoint accessible at ws://<IP>/ws
+Preferences prefs;                 ///< NVS namespace "thermo"
+
+const char *FIRMWARE_VERSION = "2.2.0";
+const int PROTOCOL_VERSION = 1;    ///< Version of the JSON command protocol
 
-unsigned long lastSendTime = 0;    ///< Timestamp to manage 1-second send interval
+/**
+ * @brief Runtime settings, persisted in NVS.
+ */
+struct DeviceSettings {
+  uint32_t interval;               ///< ms between readings
+  float threshold;                 ///< Alarm threshold in Celsius
+  float warning;                   ///< Warning limit in Celsius, NAN = off
+  float low;                       ///< Low limit in Celsius, NAN = off
+  float hysteresis;                ///< Celsius a reading must fall back before an alarm clears
+  bool staticIp;                   ///< Use the static address below instead of DHCP
+  IPAddress ip;
+  IPAddress gateway;
+  IPAddress subnet;
+  IPAddress dns;
+  uint8_t pinSO;                   ///< MAX6675 MISO pin
+  uint8_t pinCS;                   ///< MAX6675 chip select pin
+  uint8_t pinSCK;                  ///< MAX6675 clock pin
+  uint8_t pinAlarm;                ///< Buzzer or relay output, HIGH while the alarm sounds
+};
+
+const uint32_t INTERVAL_MIN = 250;     ///< Fastest sample interval the MAX6675 can keep up with
+const uint32_t INTERVAL_MAX = 60000;
+DeviceSettings settings;               ///< Loaded from NVS in setup()
+unsigned long rebootAt = 0;            ///< millis() at which a requested reboot happens, 0 = none
+
+/**
+ * @brief One recorded sample, stamped like the live telemetry frame.
+ */
+struct Reading {
+  uint32_t seq;                    ///< Frame sequence number
+  uint32_t uptime;                 ///< millis() when the reading was taken
+  uint32_t boot;                   ///< Boot counter at the time of the reading
+  float temperature;               ///< Temperature in Celsius
+};
+
+/**
+ * @brief Ring buffer bookkeeping, stored at the start of RECORD_FILE.
+ *
+ * Reading number i (counted from start_record) lives in slot i % capacity,
+ * so only the last `capacity` readings are kept.
+ */
+struct RecordHeader {
+  uint32_t magic;                  ///< RECORD_MAGIC, anything else means a fresh file
+  uint32_t capacity;               ///< Slots in the file
+  uint32_t total;                  ///< Readings appended since start_record
+  uint32_t bootCount;              ///< Incremented on every power-up
+  uint8_t recording;               ///< Recording flag, restored after a reboot
+};
+
+const char *RECORD_FILE = "/record.bin";
+const uint32_t RECORD_MAGIC = 0x52454332;  ///< "REC2"
+const uint32_t RECORD_CAPACITY = 10000;    ///< ~2.7 h at 1 reading/s, 160 KB of flash
+const uint32_t RECORD_PAGE_DEFAULT = 100;  ///< Page size when get_record has no count
+const uint32_t RECORD_PAGE_MAX = 200;      ///< Largest page get_record will send
+
+unsigned long lastSendTime = 0;    ///< Timestamp to manage the sample interval
+uint32_t frameSeq = 0;             ///< Sequence number of the last frame sent
 bool isRecording = false;          ///< True when recording is active
-std::vector<float> recordedData;   ///< Stores recorded temperature readings
+float lastTemperature = NAN;       ///< Last valid reading, for /api/status
+const char *lastFault = nullptr;   ///< Sensor fault of the last frame, nullptr when it was a reading
+uint32_t lastFrameUptime = 0;      ///< millis() of the last frame
+RecordHeader recordHeader;         ///< In-memory copy of the ring buffer header
+
+MAX6675 *thermocouple = nullptr;   ///< Created in setup() with the pins from settings
 
-// MAX6675 SPI pin configuration
-const int thermoSO = 19;   ///< MAX6675 MISO pin
-const int thermoCS = 5;    ///< MAX6675 chip select pin
-const int thermoSCK = 18;  ///< MAX6675 clock pin
+// MAX6675 measurement span; anything outside it is a wiring or bus fault
+const float SENSOR_MIN_C = 0.0;
+const float SENSOR_MAX_C = 1023.75;
 
-MAX6675 thermocouple(thermoSCK, thermoCS, thermoSO); ///< MAX6675 sensor object
+// Accepted alarm limits: the type-K span, as VALID_TEMPERATURE_RANGE in the dashboard's
+// alarm-engine.js, so any limit the dashboard accepts is accepted here too
+const float LIMIT_MIN_C = -200.0;
+const float LIMIT_MAX_C = 1350.0;
 
 // -------------------- SENSOR READINGS --------------------
 /**
  * @brief Reads temperature from the MAX6675 thermocouple sensor.
- * @return float Temperature in Celsius.
+ * @return float Temperature in Celsius, NAN when the thermocouple is open.
  */
 float getTemperature() {
-  return thermocouple.readCelsius(); // Direct reading from sensor
+  return thermocouple->readCelsius(); // Direct reading from sensor
+}
+
+/**
+ * @brief Checks a reading from getTemperature().
+ * @param temp Reading in Celsius.
+ * @return const char* Fault description, or nullptr when the reading is valid.
+ */
+const char* sensorFault(float temp) {
+  if (isnan(temp)) return "thermocouple open";
+  if (temp < SENSOR_MIN_C || temp > SENSOR_MAX_C) return "reading out of range";
+  return nullptr;
 }
 
 /**
@@ -59,6 +192,342 @@ float getMockTemperature() {
   return 24.0 + (random(0, 600) / 10.0); // Generates 24.0–30.0 °C
 }
 
+// -------------------- SETTINGS --------------------
+/**
+ * @brief Loads the settings from NVS, falling back to the compiled-in defaults.
+ */
+void loadSettings() {
+  prefs.begin("thermo", false);
+  settings.interval = prefs.getUInt("interval", 1000);
+  settings.threshold = prefs.getFloat("threshold", 100.0);
+  settings.warning = prefs.getFloat("warning", NAN);
+  settings.low = prefs.getFloat("low", NAN);
+  settings.hysteresis = prefs.getFloat("hysteresis", 1.0);
+  settings.staticIp = prefs.getBool("static", true);
+  settings.ip = IPAddress(prefs.getUInt("ip", (uint32_t)IPAddress(192, 168, 1, 200)));
+  settings.gateway = IPAddress(prefs.getUInt("gateway", (uint32_t)IPAddress(192, 168, 1, 1)));
+  settings.subnet = IPAddress(prefs.getUInt("subnet", (uint32_t)IPAddress(255, 255, 255, 0)));
+  settings.dns = IPAddress(prefs.getUInt("dns", (uint32_t)IPAddress(8, 8, 8, 8)));
+  settings.pinSO = prefs.getUChar("pin_so", 19);
+  settings.pinCS = prefs.getUChar("pin_cs", 5);
+  settings.pinSCK = prefs.getUChar("pin_sck", 18);
+  settings.pinAlarm = prefs.getUChar("pin_alarm", 25);
+  prefs.end();
+}
+
+/**
+ * @brief Writes all settings to NVS.
+ */
+void saveSettings() {
+  prefs.begin("thermo", false);
+  prefs.putUInt("interval", settings.interval);
+  prefs.putFloat("threshold", settings.threshold);
+  prefs.putFloat("warning", settings.warning);
+  prefs.putFloat("low", settings.low);
+  prefs.putFloat("hysteresis", settings.hysteresis);
+  prefs.putBool("static", settings.staticIp);
+  prefs.putUInt("ip", (uint32_t)settings.ip);
+  prefs.putUInt("gateway", (uint32_t)settings.gateway);
+  prefs.putUInt("subnet", (uint32_t)settings.subnet);
+  prefs.putUInt("dns", (uint32_t)settings.dns);
+  prefs.putUChar("pin_so", settings.pinSO);
+  prefs.putUChar("pin_cs", settings.pinCS);
+  prefs.putUChar("pin_sck", settings.pinSCK);
+  prefs.putUChar("pin_alarm", settings.pinAlarm);
+  prefs.end();
+}
+
+/**
+ * @brief Copies the settings into a reply object.
+ */
+void writeConfig(JsonObject out) {
+  out["interval"] = settings.interval;
+  out["threshold"] = settings.threshold;
+  out["warning"] = settings.warning;  // NAN is serialized as null (limit off)
+  out["low"] = settings.low;
+  out["hysteresis"] = settings.hysteresis;
+
+  JsonObject net = out.createNestedObject("network");
+  net["static"] = settings.staticIp;
+  net["ip"] = settings.ip.toString();
+  net["gateway"] = settings.gateway.toString();
+  net["subnet"] = settings.subnet.toString();
+  net["dns"] = settings.dns.toString();
+
+  JsonObject pins = out.createNestedObject("pins");
+  pins["so"] = settings.pinSO;
+  pins["cs"] = settings.pinCS;
+  pins["sck"] = settings.pinSCK;
+  pins["alarm"] = settings.pinAlarm;
+}
+
+/**
+ * @brief Tells every client about a settings change, so all dashboards stay in sync.
+ */
+void broadcastConfig() {
+  DynamicJsonDocument doc(768);
+  doc["event"] = "config";
+  writeConfig(doc.createNestedObject("config"));
+  String json;
+  serializeJson(doc, json);
+  ws.textAll(json);
+}
+
+// -------------------- RECORD STORAGE --------------------
+// WebSocket commands and HTTP requests are handled in the async_tcp task while loop()
+// appends readings, so recordHeader, isRecording and RECORD_FILE are only touched while
+// holding recordMutex. It is recursive, so the functions below can call each other.
+SemaphoreHandle_t recordMutex = nullptr;  ///< Created in setup() before anything is recorded
+
+/**
+ * @brief Holds recordMutex while in scope.
+ */
+struct RecordLock {
+  RecordLock() { xSemaphoreTakeRecursive(recordMutex, portMAX_DELAY); }
+  ~RecordLock() { xSemaphoreGiveRecursive(recordMutex); }
+};
+
+/**
+ * @brief Number of readings currently held in the buffer.
+ */
+uint32_t recordedCount() {
+  RecordLock lock;
+  return min(recordHeader.total, recordHeader.capacity);
+}
+
+/**
+ * @brief Writes the in-memory header back to flash.
+ */
+void saveRecordHeader() {
+  RecordLock lock;
+  File file = LittleFS.open(RECORD_FILE, "r+");
+  if (!file) return;
+  file.write((const uint8_t *)&recordHeader, sizeof(recordHeader));
+  file.close();
+}
+
+/**
+ * @brief Empties the ring buffer (keeps the boot counter).
+ * @param recording Recording flag to store with the empty buffer.
+ */
+void resetRecordBuffer(bool recording) {
+  RecordLock lock;
+  recordHeader.magic = RECORD_MAGIC;
+  recordHeader.capacity = RECORD_CAPACITY;
+  recordHeader.total = 0;
+  recordHeader.recording = recording;
+
+  File file = LittleFS.open(RECORD_FILE, "w"); // Truncate old readings
+  if (!file) {
+    Serial.println("❌ Could not create record file");
+    return;
+  }
+  file.write((const uint8_t *)&recordHeader, sizeof(recordHeader));
+  file.close();
+}
+
+/**
+ * @brief Mounts LittleFS and restores the ring buffer and recording state.
+ */
+void loadRecordBuffer() {
+  RecordLock lock;
+  if (!LittleFS.begin(true)) {     // Format on first use
+    Serial.println("❌ LittleFS mount failed, recordings will not persist");
+    return;
+  }
+
+  File file = LittleFS.open(RECORD_FILE, "r");
+  bool valid = file && file.read((uint8_t *)&recordHeader, sizeof(recordHeader)) == sizeof(recordHeader) &&
+               recordHeader.magic == RECORD_MAGIC && recordHeader.capacity == RECORD_CAPACITY;
+  if (file) file.close();
+
+  if (!valid) {
+    recordHeader.bootCount = 0;
+    resetRecordBuffer(false);
+  }
+  recordHeader.bootCount++;
+  saveRecordHeader();
+
+  isRecording = recordHeader.recording;
+  Serial.printf("💾 Boot #%u, %u readings stored%s\n", recordHeader.bootCount, recordedCount(),
+                isRecording ? ", recording resumed" : "");
+}
+
+/**
+ * @brief Appends a reading, overwriting the oldest one when the buffer is full.
+ *
+ * Does nothing when a client stopped the recording since the caller checked isRecording.
+ */
+void appendRecord(const Reading &reading) {
+  RecordLock lock;
+  if (!isRecording) return;
+  File file = LittleFS.open(RECORD_FILE, "r+");
+  if (!file) return;
+  uint32_t slot = recordHeader.total % recordHeader.capacity;
+  file.seek(sizeof(RecordHeader) + slot * sizeof(Reading));
+  file.write((const uint8_t *)&reading, sizeof(Reading));
+  recordHeader.total++;
+  file.seek(0);
+  file.write((const uint8_t *)&recordHeader, sizeof(recordHeader));
+  file.close();
+}
+
+/**
+ * @brief Sets the recording flag and persists it.
+ */
+void setRecording(bool recording) {
+  RecordLock lock;
+  isRecording = recording;
+  if (recording) {
+    resetRecordBuffer(true);       // start_record starts a fresh recording
+  } else {
+    recordHeader.recording = false;
+    saveRecordHeader();
+  }
+}
+
+// -------------------- DEVICE ALARM --------------------
+// Same rules as the dashboard: over temperature (critical), warning and low
+// limits (warning) with hysteresis, plus a sensor fault level. Levels are
+// ordered, so the highest active one wins.
+// loop() evaluates the rules while ack_alarm and set_threshold arrive in the async_tcp
+// task, so the alarm state and the limits in settings are only touched while holding
+// alarmMutex. Messages are sent after it is released.
+const uint8_t ALARM_NONE = 0;
+const uint8_t ALARM_WARNING = 1;
+const uint8_t ALARM_FAULT = 2;
+const uint8_t ALARM_CRITICAL = 3;
+const char *ALARM_LEVEL_NAMES[] = {"none", "warning", "fault", "critical"};
+
+uint8_t alarmLevel = ALARM_NONE;   ///< Current device alarm level
+bool overActive = false;           ///< Over-temperature rule state
+bool warningActive = false;        ///< Warning rule state
+bool underActive = false;          ///< Low-temperature rule state
+bool faultActive = false;          ///< Sensor fault
+bool alarmAcknowledged = false;    ///< Output silenced until the alarm clears or escalates
+unsigned long snoozeUntil = 0;     ///< Output silenced until this millis(), 0 = not snoozed
+SemaphoreHandle_t alarmMutex = nullptr;  ///< Created in setup() before the first reading
+
+/**
+ * @brief Holds alarmMutex while in scope.
+ */
+struct AlarmLock {
+  AlarmLock() { xSemaphoreTakeRecursive(alarmMutex, portMAX_DELAY); }
+  ~AlarmLock() { xSemaphoreGiveRecursive(alarmMutex); }
+};
+
+/**
+ * @brief One limit rule with hysteresis.
+ * @param wasActive Rule state after the previous reading.
+ * @param above     True when the rule trips above the limit.
+ */
+bool ruleActive(bool wasActive, float value, float limit, bool above) {
+  if (isnan(limit)) return false;
+  float band = wasActive ? settings.hysteresis : 0;
+  return above ? value >= limit - band : value <= limit + band;
+}
+
+/**
+ * @brief True while the output is silenced by ack_alarm.
+ */
+bool alarmSilenced() {
+  AlarmLock lock;
+  return alarmAcknowledged || (snoozeUntil && (long)(snoozeUntil - millis()) > 0);
+}
+
+/**
+ * @brief Writes the alarm state into a JSON object.
+ */
+void writeAlarm(JsonObject out) {
+  AlarmLock lock;
+  out["level"] = ALARM_LEVEL_NAMES[alarmLevel];
+  JsonArray rules = out.createNestedArray("rules");
+  if (overActive) rules.add("over");
+  if (warningActive) rules.add("warning");
+  if (underActive) rules.add("under");
+  if (faultActive) rules.add("fault");
+  out["acknowledged"] = alarmAcknowledged;
+  out["snoozed"] = !alarmAcknowledged && alarmSilenced();
+}
+
+/**
+ * @brief Sends the alarm state to every client.
+ */
+void broadcastAlarm() {
+  StaticJsonDocument<256> doc;
+  doc["event"] = "alarm";
+  writeAlarm(doc.createNestedObject("alarm"));
+  String json;
+  serializeJson(doc, json);
+  ws.textAll(json);
+}
+
+/**
+ * @brief Updates the rule states and the alarm level for a new reading.
+ * @return bool True when the level or a rule changed.
+ */
+bool applyAlarmRules(float temp, const char *fault) {
+  AlarmLock lock;
+  bool before[] = {overActive, warningActive, underActive, faultActive};
+
+  faultActive = fault != nullptr;
+  if (!faultActive) {              // Limit rules keep their state while the sensor is blind
+    overActive = ruleActive(overActive, temp, settings.threshold, true);
+    warningActive = ruleActive(warningActive, temp, settings.warning, true);
+    underActive = ruleActive(underActive, temp, settings.low, false);
+  }
+
+  uint8_t level = overActive ? ALARM_CRITICAL
+                : faultActive ? ALARM_FAULT
+                : (warningActive || underActive) ? ALARM_WARNING
+                : ALARM_NONE;
+
+  if (level > alarmLevel || level == ALARM_NONE) {
+    alarmAcknowledged = false;     // Escalation or all clear: sound again next time
+    snoozeUntil = 0;
+  }
+
+  bool changed = level != alarmLevel || before[0] != overActive || before[1] != warningActive ||
+                 before[2] != underActive || before[3] != faultActive;
+  if (level != alarmLevel) Serial.printf("🔔 Alarm: %s\n", ALARM_LEVEL_NAMES[level]);
+  alarmLevel = level;
+  return changed;
+}
+
+/**
+ * @brief Runs the alarm rules on a new reading.
+ * @param temp  Reading in Celsius (ignored while the sensor is faulty).
+ * @param fault Sensor fault text, or nullptr.
+ */
+void evaluateAlarm(float temp, const char *fault) {
+  if (applyAlarmRules(temp, fault)) broadcastAlarm();
+}
+
+/**
+ * @brief Drives the alarm output pin; called from loop().
+ *
+ * Critical: continuous, fault: 0.5 s on/off, warning: a short chirp every 2 s.
+ */
+void updateAlarmOutput() {
+  bool snoozeEnded = false;
+  bool on = false;
+  {
+    AlarmLock lock;
+    if (snoozeUntil && !alarmSilenced()) {
+      snoozeUntil = 0;             // Snooze ran out, the alarm sounds again
+      snoozeEnded = true;
+    }
+    if (alarmLevel != ALARM_NONE && !alarmSilenced()) {
+      unsigned long now = millis();
+      if (alarmLevel == ALARM_CRITICAL) on = true;
+      else if (alarmLevel == ALARM_FAULT) on = now % 1000 < 500;
+      else on = now % 2000 < 200;
+    }
+  }
+  if (snoozeEnded) broadcastAlarm();
+  digitalWrite(settings.pinAlarm, on ? HIGH : LOW);
+}
+
 // -------------------- DATA SENDER --------------------
 /**
  * @brief Sends a JSON message to all connected WebSocket clients.
@@ -75,21 +544,308 @@ void broadcastMessage(const char* key, const char* value) {
 
 /**
  * @brief Sends current temperature reading to WebSocket clients.
+ *
+ * Each frame carries the device uptime and a sequence number so the dashboard
+ * can use device time and spot dropped frames. A faulty reading is sent as a
+ * fault frame instead and is never recorded.
  */
 void sendTemperatureToClients() {
   float temp = getTemperature();    // Read sensor value
+  uint32_t uptime = millis();
+  const char* fault = sensorFault(temp);
+  frameSeq++;
+  lastFrameUptime = uptime;
+  lastFault = fault;
+  if (!fault) lastTemperature = temp;
+  evaluateAlarm(temp, fault);       // Device-side alarm, works without a dashboard
 
-  if (isRecording) {                // Save data if recording
-    recordedData.push_back(temp);
+  StaticJsonDocument<128> doc;
+  doc["uptime"] = uptime;
+  doc["seq"] = frameSeq;
+  doc["boot"] = recordHeader.bootCount;
+
+  if (fault) {
+    doc["status"] = "fault";
+    doc["error"] = fault;
+    Serial.printf("🚨 Sensor fault #%u: %s\n", frameSeq, fault);
+  } else {
+    if (isRecording) {              // Save data if recording
+      appendRecord({frameSeq, uptime, recordHeader.bootCount, temp});
+    }
+    doc["temperature"] = temp;      // Prepare JSON message
+    doc["status"] = "ok";
+    Serial.printf("📤 Sent temperature #%u: %.2f°C%s\n", frameSeq, temp, isRecording ? " (recording)" : "");
   }
 
-  StaticJsonDocument<100> doc;
-  doc["temperature"] = temp;        // Prepare JSON message
   String json;
   serializeJson(doc, json);
   ws.textAll(json);                 // Send to all clients
+}
+
+/**
+ * @brief Builds one page of the recording (get_record and GET /api/record).
+ * @param start  Reading number (since start_record) to start at, negative for the oldest kept.
+ * @param count  Readings requested.
+ * @return String The page as JSON.
+ */
+String recordPageJson(long start, uint32_t count) {
+  RecordLock lock;                 // The page must not interleave with appendRecord()
+  uint32_t total = recordHeader.total;
+  uint32_t first = total - recordedCount();
+  uint32_t from = start < 0 ? first : constrain((uint32_t)start, first, total);   // Overwritten readings are gone
+  count = min(min(count, RECORD_PAGE_MAX), total - from);
+
+  DynamicJsonDocument doc(JSON_OBJECT_SIZE(5) + JSON_ARRAY_SIZE(count) + count * JSON_OBJECT_SIZE(4) + 128);
+  JsonArray arr = doc.createNestedArray("data");
+
+  File file = LittleFS.open(RECORD_FILE, "r");
+  Reading r;
+  for (uint32_t i = from; file && i < from + count; i++) {
+    file.seek(sizeof(RecordHeader) + (i % recordHeader.capacity) * sizeof(Reading));
+    if (file.read((uint8_t *)&r, sizeof(Reading)) != sizeof(Reading)) break;
+    JsonObject item = arr.createNestedObject();
+    item["seq"] = r.seq;
+    item["uptime"] = r.uptime;
+    item["boot"] = r.boot;
+    item["temperature"] = r.temperature;
+  }
+  if (file) file.close();
 
-  Serial.printf("📤 Sent temperature: %.2f°C%s\n", temp, isRecording ? " (recording)" : "");
+  doc["from"] = from;
+  doc["next"] = from + arr.size();
+  doc["first"] = first;
+  doc["total"] = total;
+
+  String json;
+  serializeJson(doc, json);
+  Serial.printf("📤 Sending recorded readings %u-%u of %u.\n", from, from + arr.size(), total);
+  return json;
+}
+
+/**
+ * @brief Reads a numeric parameter from a "command?key=value&..." message.
+ * @return long The value, or fallback when the parameter is missing.
+ */
+long commandParam(const String &message, const char *name, long fallback) {
+  int query = message.indexOf('?');
+  if (query < 0) return fallback;
+
+  String key = String(name) + "=";
+  int start = message.indexOf(key, query);
+  if (start < 0) return fallback;
+  start += key.length();
+  int end = message.indexOf('&', start);
+  return message.substring(start, end < 0 ? message.length() : end).toInt();
+}
+
+/**
+ * @brief Writes the device information returned by get_info and /api/status.
+ */
+void writeInfo(JsonObject out) {
+  out["firmware"] = FIRMWARE_VERSION;
+  out["protocol"] = PROTOCOL_VERSION;
+  out["chip"] = ESP.getChipModel();
+  out["mac"] = WiFi.macAddress();
+  out["ip"] = WiFi.localIP().toString();
+  out["uptime"] = millis();
+  out["boot"] = recordHeader.bootCount;
+  out["freeHeap"] = ESP.getFreeHeap();
+  RecordLock lock;
+  out["recording"] = isRecording;
+  out["recorded"] = recordedCount();
+  out["recordCapacity"] = RECORD_CAPACITY;
+  writeAlarm(out.createNestedObject("alarm"));
+}
+
+// -------------------- JSON COMMANDS --------------------
+/**
+ * @brief Parses an IPv4 address field of a set_network request.
+ * @return bool False when the field is missing or malformed.
+ */
+bool readAddress(JsonVariantConst field, IPAddress &out) {
+  const char *text = field | "";
+  return out.fromString(text);
+}
+
+/**
+ * @brief Reads an optional limit of a set_threshold request.
+ * @param nullable True when null is allowed (switches the limit off).
+ * @param out      Left unchanged when the field is missing.
+ * @return bool False when the field has the wrong type.
+ */
+bool readLimit(JsonDocument &request, const char *name, bool nullable, float &out) {
+  if (!request.containsKey(name)) return true;
+  JsonVariant field = request[name];
+  if (field.isNull()) {
+    if (!nullable) return false;
+    out = NAN;
+    return true;
+  }
+  if (!field.is<float>()) return false;
+  out = field.as<float>();
+  return true;
+}
+
+/**
+ * @brief Checks an alarm limit against LIMIT_MIN_C..LIMIT_MAX_C.
+ * @return bool False for NAN or a limit outside the range.
+ */
+bool limitInRange(float limit) {
+  return limit >= LIMIT_MIN_C && limit <= LIMIT_MAX_C;
+}
+
+/**
+ * @brief Runs one JSON command.
+ * @param cmd     Command name.
+ * @param request Parsed request (command arguments are top-level fields).
+ * @param result  Object to fill with the command result.
+ * @return const char* Error text, or nullptr on success.
+ */
+const char* runCommand(const char *cmd, JsonDocument &request, JsonObject result) {
+  if (strcmp(cmd, "get_info") == 0) {
+    writeInfo(result);
+    return nullptr;
+  }
+
+  if (strcmp(cmd, "get_config") == 0) {
+    writeConfig(result);
+    return nullptr;
+  }
+
+  if (strcmp(cmd, "set_interval") == 0) {
+    uint32_t interval = request["interval"] | 0;
+    if (interval < INTERVAL_MIN || interval > INTERVAL_MAX) return "interval must be 250-60000 ms";
+    settings.interval = interval;
+    saveSettings();
+    writeConfig(result);
+    return nullptr;
+  }
+
+  if (strcmp(cmd, "set_threshold") == 0) {
+    float threshold = settings.threshold, warning = settings.warning, low = settings.low;
+    float hysteresis = settings.hysteresis;
+    if (!readLimit(request, "threshold", false, threshold) || !readLimit(request, "warning", true, warning) ||
+        !readLimit(request, "low", true, low) || !readLimit(request, "hysteresis", false, hysteresis)) {
+      return "limits must be numbers (warning and low may be null)";
+    }
+    if (!limitInRange(threshold) || (!isnan(warning) && !limitInRange(warning)) || (!isnan(low) && !limitInRange(low))) {
+      return "limits must be between -200 and 1350 °C";
+    }
+    if (!isnan(warning) && warning >= threshold) return "warning must be below the threshold";
+    if (!isnan(low) && low >= (isnan(warning) ? threshold : warning)) return "low must be below the warning and threshold";
+    if (hysteresis < 0) return "hysteresis must not be negative";
+
+    {
+      AlarmLock lock;              // evaluateAlarm() never sees half of the new limits
+      settings.threshold = threshold;
+      settings.warning = warning;
+      settings.low = low;
+      settings.hysteresis = hysteresis;
+    }
+    saveSettings();
+    writeConfig(result);
+    broadcastConfig();
+    return nullptr;
+  }
+
+  if (strcmp(cmd, "get_alarm") == 0) {
+    writeAlarm(result);
+    return nullptr;
+  }
+
+  if (strcmp(cmd, "ack_alarm") == 0) {
+    uint32_t minutes = request["minutes"] | 0;
+    {
+      AlarmLock lock;              // loop() may clear or escalate the alarm meanwhile
+      if (alarmLevel == ALARM_NONE) return "no active alarm";
+      if (minutes > 0) {
+        snoozeUntil = millis() + minutes * 60000UL;
+      } else {
+        alarmAcknowledged = true;
+      }
+    }
+    writeAlarm(result);
+    broadcastAlarm();
+    return nullptr;
+  }
+
+  if (strcmp(cmd, "set_network") == 0) {
+    bool useStatic = request["static"] | true;
+    IPAddress ip, gateway, subnet, dns;
+    if (useStatic && !(readAddress(request["ip"], ip) && readAddress(request["gateway"], gateway) &&
+                       readAddress(request["subnet"], subnet) && readAddress(request["dns"], dns))) {
+      return "ip, gateway, subnet and dns must be IPv4 addresses";
+    }
+    settings.staticIp = useStatic;
+    if (useStatic) {
+      settings.ip = ip;
+      settings.gateway = gateway;
+      settings.subnet = subnet;
+      settings.dns = dns;
+    }
+    saveSettings();
+    writeConfig(result);
+    result["restartRequired"] = true;
+    return nullptr;
+  }
+
+  if (strcmp(cmd, "set_pins") == 0) {
+    int so = request["so"] | -1, cs = request["cs"] | -1, sck = request["sck"] | -1;
+    int alarm = request["alarm"] | (int)settings.pinAlarm;
+    if (!GPIO_IS_VALID_GPIO(so) || !GPIO_IS_VALID_OUTPUT_GPIO(cs) || !GPIO_IS_VALID_OUTPUT_GPIO(sck) ||
+        !GPIO_IS_VALID_OUTPUT_GPIO(alarm)) {
+      return "so, cs, sck and alarm must be valid GPIO numbers";
+    }
+    settings.pinSO = so;
+    settings.pinCS = cs;
+    settings.pinSCK = sck;
+    settings.pinAlarm = alarm;
+    saveSettings();
+    writeConfig(result);
+    result["restartRequired"] = true;
+    return nullptr;
+  }
+
+  if (strcmp(cmd, "reboot") == 0) {
+    rebootAt = millis() + 500;     // Give the reply time to go out
+    result["rebooting"] = true;
+    return nullptr;
+  }
+
+  return "unknown command";
+}
+
+/**
+ * @brief Handles a JSON command and replies to the sender with the same id.
+ */
+void handleJsonCommand(AsyncWebSocketClient *client, const char *msg) {
+  StaticJsonDocument<384> request;
+  DynamicJsonDocument reply(1024);
+  reply["v"] = PROTOCOL_VERSION;
+
+  const char *error = nullptr;
+  if (deserializeJson(request, msg)) {
+    error = "invalid JSON";
+  } else {
+    reply["id"] = request["id"];
+    const char *cmd = request["cmd"] | "";
+    if ((request["v"] | 0) != PROTOCOL_VERSION) {
+      error = "unsupported protocol version";
+    } else {
+      error = runCommand(cmd, request, reply.createNestedObject("result"));
+    }
+    Serial.printf("🛠️ %s: %s\n", cmd, error ? error : "ok");
+  }
+
+  reply["ok"] = error == nullptr;
+  if (error) {
+    reply.remove("result");
+    reply["error"] = error;
+  }
+
+  String json;
+  serializeJson(reply, json);
+  client->text(json);
 }
 
 // -------------------- COMMAND HANDLER --------------------
@@ -102,9 +858,15 @@ void sendTemperatureToClients() {
  * - test
  * - start_record
  * - end_record
- * - get_record
+ * - get_record[?from=&count=]
+ * - JSON commands, see handleJsonCommand()
  */
 void handleClientCommand(AsyncWebSocketClient *client, const char *msg) {
+  if (msg[0] == '{') {
+    handleJsonCommand(client, msg);
+    return;
+  }
+
   String message = String(msg);
 
   if (message == "test") {
@@ -116,24 +878,17 @@ void handleClientCommand(AsyncWebSocketClient *client, const char *msg) {
     Serial.println("✅ Test connection OK");
   } 
   else if (message == "start_record") {
-    isRecording = true;
-    recordedData.clear();
+    setRecording(true);
     client->text("{\"recording\":\"started\"}");
     Serial.println("🎬 Recording started...");
   } 
   else if (message == "end_record") {
-    isRecording = false;
+    setRecording(false);
     client->text("{\"recording\":\"stopped\"}");
     Serial.println("⏹️ Recording stopped.");
   } 
-  else if (message == "get_record") {
-    StaticJsonDocument<1024> doc;
-    JsonArray arr = doc.createNestedArray("data");
-    for (float val : recordedData) arr.add(val); // Add all data points
-    String json;
-    serializeJson(doc, json);
-    client->text(json);
-    Serial.println("📤 Sent recorded data.");
+  else if (message == "get_record" || message.startsWith("get_record?")) {
+    client->text(recordPageJson(commandParam(message, "from", -1), commandParam(message, "count", RECORD_PAGE_DEFAULT)));
   } 
   else {
     client->text("{\"error\":\"unknown command\"}");
@@ -160,6 +915,68 @@ void onWebSocketEvent(AsyncWebSocket *server, AsyncWebSocketClient *client,
   }
 }
 
+// -------------------- HTTP API & DASHBOARD --------------------
+const char *WEB_ROOT = "/www/";    ///< Dashboard files on LittleFS (index.html, script.js, ...)
+
+/**
+ * @brief Reads a numeric query parameter of an HTTP request.
+ * @return long The value, or fallback when the parameter is missing.
+ */
+long queryParam(AsyncWebServerRequest *request, const char *name, long fallback) {
+  return request->hasParam(name) ? request->getParam(name)->value().toInt() : fallback;
+}
+
+/**
+ * @brief GET /api/status: device info, settings, alarm state and the last frame.
+ */
+void handleStatusRequest(AsyncWebServerRequest *request) {
+  DynamicJsonDocument doc(1024);
+  JsonObject out = doc.to<JsonObject>();
+  writeInfo(out);
+  writeConfig(out.createNestedObject("config"));
+
+  if (frameSeq == 0) {
+    out["reading"] = nullptr;       // No frame sent yet
+  } else {
+    JsonObject reading = out.createNestedObject("reading");
+    reading["uptime"] = lastFrameUptime;
+    reading["seq"] = frameSeq;
+    reading["boot"] = recordHeader.bootCount;
+    if (lastFault) {
+      reading["status"] = "fault";
+      reading["error"] = lastFault;
+    } else {
+      reading["temperature"] = lastTemperature;
+      reading["status"] = "ok";
+    }
+  }
+
+  String json;
+  serializeJson(doc, json);
+  request->send(200, "application/json", json);
+}
+
+/**
+ * @brief GET /api/record sends a page like get_record; POST /api/record?action=start|stop
+ *        works like start_record / end_record.
+ */
+void handleRecordRequest(AsyncWebServerRequest *request) {
+  if (request->method() == HTTP_POST) {
+    String action = request->hasParam("action") ? request->getParam("action")->value() : "";
+    if (action != "start" && action != "stop") {
+      request->send(400, "application/json", "{\"error\":\"action must be start or stop\"}");
+      return;
+    }
+    setRecording(action == "start");
+    Serial.println(isRecording ? "🎬 Recording started (HTTP)..." : "⏹️ Recording stopped (HTTP).");
+    request->send(200, "application/json", isRecording ? "{\"recording\":\"started\"}" : "{\"recording\":\"stopped\"}");
+    return;
+  }
+
+  request->send(200, "application/json",
+                recordPageJson(queryParam(request, "from", -1), queryParam(request, "count", RECORD_PAGE_DEFAULT)));
+}
+
 // -------------------- SETUP --------------------
 /**
  * @brief Initializes Wi-Fi, WebSocket server, and sensor.
@@ -171,17 +988,23 @@ void setup() {
 
   randomSeed(analogRead(0)); // For mock data variation
 
+  loadSettings();             // Interval, threshold, network and pins from NVS
+  recordMutex = xSemaphoreCreateRecursiveMutex();
+  alarmMutex = xSemaphoreCreateRecursiveMutex();
+  loadRecordBuffer();         // Restore a recording that was running before a reboot
+  thermocouple = new MAX6675(settings.pinSCK, settings.pinCS, settings.pinSO);
+  pinMode(settings.pinAlarm, OUTPUT);
+  digitalWrite(settings.pinAlarm, LOW);
+
   WiFiManager wm;
 
   // Optional: clear saved credentials
   // wm.resetSettings();
 
-  // Configure static IP for consistent dashboard access
-  IPAddress staticIP(192, 168, 1, 200);
-  IPAddress gateway(192, 168, 1, 1);
-  IPAddress subnet(255, 255, 255, 0);
-  IPAddress dns(8, 8, 8, 8);
-  wm.setSTAStaticIPConfig(staticIP, gateway, subnet, dns);
+  // Static IP for consistent dashboard access (default 192.168.1.200, see set_network)
+  if (settings.staticIp) {
+    wm.setSTAStaticIPConfig(settings.ip, settings.gateway, settings.subnet, settings.dns);
+  }
 
   bool res = wm.autoConnect("ESP32-Setup", "12345678"); // Start portal if needed
   if (!res) {
@@ -197,13 +1020,22 @@ void setup() {
   ws.onEvent(onWebSocketEvent);
   server.addHandler(&ws);
 
-  // Simple HTTP route for testing
-  server.on("/", HTTP_GET, [](AsyncWebServerRequest *request) {
-    request->send(200, "text/plain", "ESP32 WebSocket active at /ws");
+  // REST API next to /ws
+  server.on("/api/status", HTTP_GET, handleStatusRequest);
+  server.on("/api/record", HTTP_GET | HTTP_POST, handleRecordRequest);
+
+  // The dashboard itself, uploaded to LittleFS under /www/ (see README)
+  server.serveStatic("/", LittleFS, WEB_ROOT).setDefaultFile("index.html").setCacheControl("no-cache");
+  server.onNotFound([](AsyncWebServerRequest *request) {
+    if (request->url() == "/") {    // Dashboard not uploaded yet
+      request->send(200, "text/plain", "ESP32 WebSocket active at /ws (upload the dashboard to LittleFS to open it here)");
+    } else {
+      request->send(404, "text/plain", "Not found");
+    }
   });
 
   server.begin();
-  Serial.println("🌐 WebSocket server started on port 80 at /ws");
+  Serial.println("🌐 Dashboard and WebSocket server started on port 80 (/ws, /api/status, /api/record)");
 
   delay(5000); // Allow MAX6675 to stabilize
 }
@@ -215,8 +1047,15 @@ void setup() {
 void loop() {
   ws.cleanupClients();              // Remove disconnected clients
 
-  if (millis() - lastSendTime > 1000) { // Every 1s
+  if (millis() - lastSendTime >= settings.interval) { // Every sample interval
     sendTemperatureToClients();     // Send temperature to all clients
     lastSendTime = millis();        // Reset timer
   }
+
+  updateAlarmOutput();              // Buzzer/relay pattern for the current alarm level
+
+  if (rebootAt && millis() >= rebootAt) {
+    Serial.println("🔁 Rebooting on request...");
+    ESP.restart();
+  }
 }
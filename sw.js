@@ -0,0 +1,27 @@
+// Service worker for alarm notifications. The dashboard shows its system notifications
+// through this registration so they can carry Acknowledge / Open buttons; a click is sent
+// back to the dashboard tab, or passed in the URL of a new one if it was closed. Nothing is cached.
+
+self.addEventListener('install', () => self.skipWaiting());
+self.addEventListener('activate', event => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('notificationclick', event => {
+    event.notification.close();
+    const action = event.action || 'open'; // a click on the body means Open
+    const { deviceId } = event.notification.data || {};
+
+    event.waitUntil((async () => {
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        const client = windows[0];
+        if (client) {
+            await client.focus();
+            client.postMessage({ type: 'notification-action', action, deviceId });
+            return;
+        }
+        // A new tab is not listening yet, so the action travels in its URL instead
+        const url = new URL(self.registration.scope);
+        url.searchParams.set('notification', action);
+        if (deviceId) url.searchParams.set('device', deviceId);
+        await self.clients.openWindow(url.href);
+    })());
+});
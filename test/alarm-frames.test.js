@@ -0,0 +1,164 @@
+// Plays recorded firmware frame sequences through the dashboard and checks the buzzer,
+// toasts and chart. Defaults: threshold 100 °C, 3 s debounce, 1 °C hysteresis.
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadDashboard } = require('./dashboard-harness.js');
+
+let dashboard;
+
+beforeEach(async () => {
+    dashboard = await loadDashboard();
+});
+
+afterEach(async () => {
+    await dashboard.close();
+    assert.deepEqual(dashboard.errors.map(err => err.message), [], 'the page raised no errors');
+});
+
+// Arrays built inside the page belong to another realm; compare them as plain data
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+function alarmToasts() {
+    return dashboard.toasts.filter(toast => toast.message.startsWith('⚠️'));
+}
+
+test('an over-temperature reading only alarms once it has held for the debounce time', () => {
+    const device = dashboard.device();
+
+    dashboard.temperatures([90, 101, 101, 99, 101, 101, 101]);
+    assert.equal(device.alarmLevel, 'none', 'a 2 s spike is ignored');
+    assert.equal(device.buzzerInterval, null);
+    assert.equal(alarmToasts().length, 0);
+
+    dashboard.temperatures([101]);
+    assert.equal(device.alarmLevel, 'critical');
+    assert.equal(device.buzzerLevel, 'critical');
+    assert.deepEqual(alarmToasts().map(toast => [toast.message, toast.type]),
+        [['⚠️ ESP32: Over temperature', 'error']]);
+
+    // Critical pattern: two 1 kHz beeps a second
+    dashboard.clock.tick(1500);
+    assert.deepEqual(dashboard.tones.map(tone => tone.frequency), [1000, 1000]);
+});
+
+test('an alarm clears only after the reading falls back through the hysteresis band', () => {
+    const device = dashboard.device();
+    dashboard.temperatures([101, 101, 101, 101]);
+    assert.equal(device.alarmLevel, 'critical');
+
+    dashboard.temperatures([99.5, 99.2]);
+    assert.equal(device.alarmLevel, 'critical', 'still inside the 1 °C band');
+    assert.equal(device.buzzerLevel, 'critical');
+
+    dashboard.temperatures([98.9]);
+    assert.equal(device.alarmLevel, 'none');
+    assert.equal(device.buzzerInterval, null);
+    assert.ok(dashboard.toasts.some(toast => toast.message === '✅ ESP32: alarm cleared'));
+
+    dashboard.clock.tick(1000); // a beep already under way finishes
+    const tones = dashboard.tones.length;
+    dashboard.clock.tick(5000);
+    assert.equal(dashboard.tones.length, tones, 'the buzzer stays quiet');
+});
+
+test('recorded frames are charted at device time and dropped frames are reported', () => {
+    const device = dashboard.device();
+    dashboard.window.toggleRecording();
+
+    dashboard.temperatures([20, 21, 22]);
+    dashboard.frame({ temperature: 26, status: 'ok' }, { skip: 3 });
+
+    const points = dashboard.series('temperature').data;
+    assert.deepEqual(plain(points.map(point => point.y)), [20, 21, 22, 26]);
+    assert.deepEqual(plain(points.slice(1).map((point, i) => point.x - points[i].x)), [1000, 1000, 4000]);
+    assert.deepEqual(plain(dashboard.series('threshold').data.map(point => point.y)), [100, 100, 100, 100]);
+
+    assert.equal(device.droppedFrames, 3);
+    assert.equal(device.card.querySelector('[data-field="data-loss"]').textContent, '⚠ 3 frames lost');
+    const [gap] = dashboard.global('currentSession').dataLoss;
+    assert.deepEqual([gap.fromSeq, gap.toSeq, gap.missing], [4, 6, 3]);
+    assert.equal(dashboard.global('temperatureData').length, 4);
+});
+
+test('frames are not charted while not recording', () => {
+    dashboard.temperatures([20, 21]);
+    assert.equal(dashboard.series('temperature'), undefined);
+    assert.equal(dashboard.global('temperatureData').length, 0);
+});
+
+test('a sensor fault frame raises the fault alarm straight away and a good reading clears it', () => {
+    const device = dashboard.device();
+    dashboard.window.toggleRecording();
+    dashboard.temperatures([25]);
+
+    dashboard.frame({ status: 'fault', error: 'thermocouple open' });
+    assert.equal(device.alarmLevel, 'fault');
+    assert.equal(device.buzzerLevel, 'fault');
+    assert.ok(alarmToasts().some(toast => toast.message.includes('Sensor fault') && toast.type === 'error'));
+    assert.equal(dashboard.series('temperature').data.length, 1, 'faulty samples are not charted');
+
+    dashboard.clock.tick(1500);
+    assert.ok(dashboard.tones.length > 0);
+    assert.ok(dashboard.tones.every(tone => tone.frequency === 500));
+
+    dashboard.temperatures([25]);
+    assert.equal(device.alarmLevel, 'none');
+    assert.equal(device.buzzerInterval, null);
+});
+
+test('acknowledging silences the buzzer until the alarm escalates', () => {
+    const device = dashboard.device();
+    device.warningThreshold = 90;
+    dashboard.window.document.getElementById('operator-name').value = 'Dana';
+
+    dashboard.temperatures([95, 95, 95, 95]);
+    assert.equal(device.alarmLevel, 'warning');
+    assert.equal(device.buzzerLevel, 'warning');
+
+    dashboard.window.acknowledgeAlarm(device);
+    assert.equal(device.buzzerInterval, null);
+    assert.equal(device.alarmEvent.acknowledgedBy, 'Dana');
+    assert.ok(dashboard.toasts.some(toast => toast.message === 'ESP32: alarm acknowledged by Dana'));
+
+    const tones = dashboard.tones.length;
+    dashboard.temperatures([95, 95, 95]);
+    assert.equal(dashboard.tones.length, tones, 'still silenced while the warning lasts');
+
+    dashboard.temperatures([101, 101, 101, 101]);
+    assert.equal(device.alarmLevel, 'critical');
+    assert.equal(device.buzzerLevel, 'critical', 'escalation sounds again');
+    assert.equal(device.alarmAcknowledged, false);
+});
+
+test('a snoozed alarm sounds again when the snooze runs out', () => {
+    const device = dashboard.device();
+    dashboard.window.document.getElementById('operator-name').value = 'Dana';
+    dashboard.temperatures([101, 101, 101, 101]);
+
+    dashboard.window.snoozeAlarm(device);
+    assert.equal(device.buzzerInterval, null);
+    assert.deepEqual(plain(device.alarmEvent.snoozes.map(snooze => [snooze.by, snooze.minutes])), [['Dana', 5]]);
+
+    const tones = dashboard.tones.length;
+    dashboard.temperatures(new Array(60).fill(101));
+    assert.equal(dashboard.tones.length, tones, 'silent during the snooze');
+    assert.equal(device.alarmLevel, 'critical');
+
+    dashboard.clock.tick(4 * 60000);
+    assert.equal(device.buzzerLevel, 'critical');
+    dashboard.clock.tick(1000);
+    assert.ok(dashboard.tones.length > tones);
+});
+
+test('acknowledging needs an operator name', () => {
+    const device = dashboard.device();
+    dashboard.temperatures([101, 101, 101, 101]);
+
+    dashboard.window.HTMLElement.prototype.focus = () => {};
+    dashboard.window.acknowledgeAlarm(device);
+    assert.equal(device.alarmAcknowledged, false);
+    assert.equal(device.buzzerLevel, 'critical');
+    assert.ok(dashboard.toasts.some(toast => toast.type === 'warning' && toast.message.includes('Enter your name')));
+});
@@ -0,0 +1,50 @@
+// Limit checks shared by the card's Set Limits and chemical-linked thresholds, matching what
+// the firmware's set_threshold accepts
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { alarmLimitsProblem, fitAlarmLimits } = require('../alarm-engine.js');
+const { deriveChemicalThresholds } = require('../chemical-rules.js');
+
+const margins = { warningMargin: 10, highHazardMargin: 5 };
+
+test('alarmLimitsProblem names the first rule a set of limits breaks', () => {
+    assert.equal(alarmLimitsProblem({ threshold: 100, warningThreshold: 90, lowThreshold: 0 }), null);
+    assert.equal(alarmLimitsProblem({ threshold: 100, warningThreshold: null, lowThreshold: null }), null);
+    assert.equal(alarmLimitsProblem({ threshold: 1400, warningThreshold: null, lowThreshold: null }), 'range');
+    assert.equal(alarmLimitsProblem({ threshold: 100, warningThreshold: null, lowThreshold: -210 }), 'range');
+    assert.equal(alarmLimitsProblem({ threshold: 100, warningThreshold: 100, lowThreshold: null }), 'warning');
+    assert.equal(alarmLimitsProblem({ threshold: 100, warningThreshold: 90, lowThreshold: 90 }), 'low');
+    assert.equal(alarmLimitsProblem({ threshold: 100, warningThreshold: null, lowThreshold: 100 }), 'low');
+});
+
+test('a narrow liquid range drops the warning and keeps the low alarm', () => {
+    // Liquid from 0 to 8 °C: the 10 °C warning margin lands below the freezing point
+    const derived = deriveChemicalThresholds({ boilingPoint: 8, freezingPoint: 0, hazardLevel: 'Low' }, margins);
+    assert.deepEqual(derived, { threshold: 8, warningThreshold: -2, lowThreshold: 0 });
+    assert.equal(alarmLimitsProblem(derived), 'low');
+
+    const { limits, changed } = fitAlarmLimits(derived);
+    assert.deepEqual(limits, { threshold: 8, warningThreshold: null, lowThreshold: 0 });
+    assert.deepEqual(changed, ['warning']);
+    assert.equal(alarmLimitsProblem(limits), null);
+});
+
+test('a high hazard margin that pulls the alarm below the freezing point drops the low alarm', () => {
+    const derived = deriveChemicalThresholds({ boilingPoint: 3, freezingPoint: 0, hazardLevel: 'High' }, margins);
+    const { limits, changed } = fitAlarmLimits(derived);
+    assert.deepEqual(limits, { threshold: -2, warningThreshold: -12, lowThreshold: null });
+    assert.deepEqual(changed, ['low']);
+});
+
+test('limits beyond the thermocouple range are clamped or switched off', () => {
+    const derived = deriveChemicalThresholds({ boilingPoint: 1500, freezingPoint: -250, hazardLevel: 'Low' }, margins);
+    const { limits, changed } = fitAlarmLimits(derived);
+    assert.deepEqual(limits, { threshold: 1350, warningThreshold: null, lowThreshold: null });
+    assert.deepEqual(changed, ['threshold', 'low', 'warning']);
+    assert.equal(alarmLimitsProblem(limits), null);
+});
+
+test('usable limits come back unchanged', () => {
+    const derived = { threshold: 78.4, warningThreshold: 68.4, lowThreshold: -114.1 };
+    assert.deepEqual(fitAlarmLimits(derived), { limits: derived, changed: [] });
+});
@@ -0,0 +1,37 @@
+// Duplicate detection of chemical imports: name and CAS number identify a chemical, a
+// shared formula only earns a warning
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { SEED_CHEMICALS, planChemicalImport } = require('../chemical-rules.js');
+
+const isopropanol = { id: 'c1', ...SEED_CHEMICALS.find(c => c.chemName === 'Isopropanol') };
+const propanol = { ...isopropanol, chemName: '1-Propanol', casNumber: '', boilingPoint: 97.2, freezingPoint: -126 };
+
+test('a chemical sharing only the formula is added with a warning, not merged', () => {
+    const [entry] = planChemicalImport([propanol], [isopropanol], 'merge');
+    assert.equal(entry.action, 'add');
+    assert.equal(entry.existing, undefined);
+    assert.match(entry.warning, /Same formula as Isopropanol/);
+});
+
+test('different CAS numbers rule out a duplicate even with the same formula', () => {
+    const [entry] = planChemicalImport([{ ...propanol, casNumber: '71-23-8' }], [isopropanol], 'merge');
+    assert.equal(entry.action, 'add');
+    assert.equal(entry.warning, undefined);
+});
+
+test('a chemical with the same name or CAS number is merged or skipped', () => {
+    const renamed = { ...isopropanol, chemName: '2-Propanol', boilingPoint: 82.5 };
+    const [byCas] = planChemicalImport([renamed], [isopropanol], 'merge');
+    assert.equal(byCas.action, 'update');
+    assert.equal(byCas.existing, isopropanol);
+
+    const [byName] = planChemicalImport([{ ...isopropanol, casNumber: '' }], [isopropanol], 'skip');
+    assert.equal(byName.action, 'skip');
+    assert.equal(byName.reason, 'Matches Isopropanol');
+});
+
+test('isomers in the same import are both added', () => {
+    const plan = planChemicalImport([{ ...propanol, casNumber: '71-23-8' }, isopropanol], [], 'merge');
+    assert.deepEqual(plan.map(entry => entry.action), ['add', 'add']);
+});
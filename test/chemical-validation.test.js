@@ -0,0 +1,52 @@
+// validateChemical(): every rule the database form and the imports rely on
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { SEED_CHEMICALS, validateChemical } = require('../chemical-rules.js');
+
+const ethanol = SEED_CHEMICALS.find(c => c.chemName === 'Ethanol');
+
+function errorsFor(changes) {
+    return validateChemical({ ...ethanol, ...changes });
+}
+
+test('a complete record from the solvent library is valid', () => {
+    SEED_CHEMICALS.forEach(chemical => assert.deepEqual(validateChemical(chemical), [], chemical.chemName));
+});
+
+test('name, formula, boiling and freezing point are required', () => {
+    assert.deepEqual(errorsFor({ chemName: '  ' }), ['Chemical name is required']);
+    assert.deepEqual(errorsFor({ formula: '' }), ['Chemical formula is required']);
+    assert.deepEqual(errorsFor({ boilingPoint: NaN }), ['Boiling point must be a number']);
+    assert.deepEqual(errorsFor({ freezingPoint: null }), ['Freezing point must be a number']);
+});
+
+test('the CAS number is optional but must pass its check digit', () => {
+    assert.deepEqual(errorsFor({ casNumber: '' }), []);
+    assert.deepEqual(errorsFor({ casNumber: '64-17-6' }), ['"64-17-6" is not a valid CAS number']);
+    assert.deepEqual(errorsFor({ casNumber: '6417-5' }), ['"6417-5" is not a valid CAS number']);
+});
+
+test('optional temperatures are numbers or empty', () => {
+    assert.deepEqual(errorsFor({ flashPoint: null, autoignitionTemp: null, maxSafeTemp: null }), []);
+    assert.deepEqual(errorsFor({ flashPoint: 'hot' }), ['Flash point must be a number or left empty']);
+    assert.deepEqual(errorsFor({ autoignitionTemp: NaN }), ['Autoignition temperature must be a number or left empty']);
+    assert.deepEqual(errorsFor({ maxSafeTemp: Infinity }), ['Max safe operating temperature must be a number or left empty']);
+});
+
+test('hazard level and GHS pictograms come from the fixed lists', () => {
+    assert.deepEqual(errorsFor({ hazardLevel: 'Extreme' }), ['Hazard level must be Low, Medium, High']);
+    assert.deepEqual(errorsFor({ ghsPictograms: ['GHS02', 'GHS10'] }), ['Unknown GHS pictogram "GHS10"']);
+});
+
+test('the temperatures must be consistent with each other', () => {
+    assert.deepEqual(errorsFor({ freezingPoint: 78.4, flashPoint: null }), ['Freezing point must be below the boiling point']);
+    assert.deepEqual(errorsFor({ flashPoint: 80 }), ['Flash point must be below the boiling point']);
+    assert.deepEqual(errorsFor({ autoignitionTemp: 13 }), ['Autoignition temperature must be above the flash point']);
+    assert.deepEqual(errorsFor({ maxSafeTemp: 90 }), ['Max safe temperature cannot be above the boiling point']);
+    assert.deepEqual(errorsFor({ maxSafeTemp: -120 }), ['Max safe temperature must be above the freezing point']);
+    assert.deepEqual(errorsFor({ boilingPoint: 400, maxSafeTemp: 363 }), ['Max safe temperature must be below the autoignition temperature']);
+});
+
+test('every problem is reported at once', () => {
+    assert.equal(validateChemical({ chemName: '', formula: '', hazardLevel: '' }).length, 5);
+});
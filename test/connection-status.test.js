@@ -0,0 +1,79 @@
+// The card's connection status: a device that never answered is reported as unreachable,
+// while a lost connection backs off between reconnect attempts
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadDashboard } = require('./dashboard-harness.js');
+
+let dashboard;
+
+beforeEach(async () => {
+    dashboard = await loadDashboard();
+});
+
+afterEach(async () => {
+    await dashboard.close();
+    assert.deepEqual(dashboard.errors.map(err => err.message), [], 'the page raised no errors');
+});
+
+function statusText() {
+    return dashboard.device().card.querySelector('[data-field="status"]').textContent;
+}
+
+test('a device that never answers is reported once instead of retried', () => {
+    const device = dashboard.device();
+    const { sockets } = dashboard;
+    dashboard.window.connect(device);
+    sockets[0].onclose();
+
+    assert.equal(device.state, 'disconnected');
+    assert.equal(statusText(), 'Could not connect – check the address');
+    assert.deepEqual(dashboard.toasts.map(t => t.message), [`❌ Could not connect to ${device.name} – check the address`]);
+
+    dashboard.clock.tick(60000);
+    assert.equal(sockets.length, 1, 'no further attempts');
+    assert.equal(statusText(), 'Could not connect – check the address');
+
+    dashboard.window.connect(device);
+    assert.equal(statusText(), 'Connecting...', 'the error clears on the next attempt');
+});
+
+test('a socket that opens but fails the connection test is not retried either', () => {
+    const device = dashboard.device();
+    const { sockets } = dashboard;
+    dashboard.window.connect(device);
+    sockets[0].open();
+
+    dashboard.clock.tick(3000);
+    assert.equal(device.state, 'disconnected');
+    assert.equal(statusText(), 'Could not connect – no reply to the connection test');
+    dashboard.clock.tick(60000);
+    assert.equal(sockets.length, 1);
+});
+
+test('a lost connection reconnects with a countdown that ticks down every second', () => {
+    const device = dashboard.device();
+    const { sockets } = dashboard;
+    dashboard.window.connect(device);
+    sockets[0].open();
+    dashboard.window.handleDeviceMessage(device, { status: 'ok' });
+    assert.equal(statusText(), 'Connected');
+
+    sockets[0].onclose();
+    assert.ok(dashboard.toasts.some(t => t.message === `🔌 ${device.name}: connection lost, reconnecting...`));
+    assert.equal(statusText(), 'Reconnecting – attempt 1 in 1s');
+
+    dashboard.clock.tick(1000);
+    sockets[1].onclose(); // the device is still away
+    assert.equal(statusText(), 'Reconnecting – attempt 2 in 2s');
+    dashboard.clock.tick(1000);
+    assert.equal(statusText(), 'Reconnecting – attempt 2 in 1s');
+    dashboard.clock.tick(1000);
+    sockets[2].onclose();
+    assert.equal(statusText(), 'Reconnecting – attempt 3 in 4s');
+    dashboard.clock.tick(3000);
+    assert.equal(statusText(), 'Reconnecting – attempt 3 in 1s');
+
+    dashboard.window.disconnect(device);
+    assert.equal(statusText(), 'Disconnected');
+    assert.equal(device.countdownInterval, null);
+});
@@ -0,0 +1,49 @@
+// CSV exports: fields are quoted only when they have to be, and parseCsv reads back exactly
+// what was written
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { csvEscape, buildReadingsCsv, buildAlarmLogCsv, parseCsv } = require('../csv-export.js');
+
+test('fields with a comma, quote or line break are quoted and quotes are doubled', () => {
+    assert.equal(csvEscape('ESP32'), 'ESP32');
+    assert.equal(csvEscape(12.5), '12.5');
+    assert.equal(csvEscape('Bench, left'), '"Bench, left"');
+    assert.equal(csvEscape('the "hot" one'), '"the ""hot"" one"');
+    assert.equal(csvEscape('line 1\nline 2'), '"line 1\nline 2"');
+    assert.equal(csvEscape('line 1\r\nline 2'), '"line 1\r\nline 2"');
+    assert.equal(csvEscape('old Mac\rline'), '"old Mac\rline"');
+});
+
+test('parseCsv reads quoted fields, CRLF line endings and a byte order mark', () => {
+    assert.deepEqual(parseCsv('\uFEFFa,b\r\n"x, y","say ""hi""\nbye"\r\n'), [['a', 'b'], ['x, y', 'say "hi"\nbye']]);
+    assert.deepEqual(parseCsv('a,,c\nlast'), [['a', '', 'c'], ['last']]);
+});
+
+test('readings are written in the display unit and fault placeholders are left out', () => {
+    const readings = [
+        { time: '2025-01-01T08:00:00.000Z', device: 'Bench, left', temperature: 100, threshold: 80 },
+        { time: '2025-01-01T08:00:01.000Z', device: 'Bench, left', temperature: null, threshold: 80 }
+    ];
+    assert.equal(buildReadingsCsv(readings),
+        'Time,Device,Temperature (°C),Threshold (°C)\n2025-01-01T08:00:00.000Z,"Bench, left",100.00,80.00\n');
+    assert.equal(buildReadingsCsv(readings, 'F').split('\n')[1], '2025-01-01T08:00:00.000Z,"Bench, left",212.00,176.00');
+});
+
+test('an alarm log round-trips through parseCsv', () => {
+    const entries = [{
+        device: 'Reactor "A"', level: 'critical', rules: ['Over temperature', 'Rapid rise'],
+        raisedAt: '2025-01-01T08:00:00.000Z', peakTemperature: 101.5,
+        acknowledgedAt: '2025-01-01T08:01:00.000Z', acknowledgedBy: 'Dana, night shift',
+        snoozes: [{ at: '2025-01-01T08:00:30.000Z', minutes: 5, by: 'Dana' }], clearedAt: null, interrupted: true
+    }, {
+        device: 'Bench', level: 'warning', rules: ['Low temperature'], raisedAt: '2025-01-01T09:00:00.000Z',
+        peakTemperature: null, acknowledgedAt: null, acknowledgedBy: null, snoozes: [], clearedAt: null
+    }];
+    const [header, ...rows] = parseCsv(buildAlarmLogCsv(entries));
+    assert.equal(header.length, 9);
+    assert.deepEqual(rows, [
+        ['Reactor "A"', 'critical', 'Over temperature; Rapid rise', '2025-01-01T08:00:00.000Z', '101.50',
+            '2025-01-01T08:01:00.000Z', 'Dana, night shift', '2025-01-01T08:00:30.000Z 5min by Dana', 'interrupted'],
+        ['Bench', 'warning', 'Low temperature', '2025-01-01T09:00:00.000Z', '', '', '', '', 'active']
+    ]);
+});
@@ -0,0 +1,216 @@
+// Loads index.html with the dashboard scripts into jsdom. Chart.js, Web Audio, IndexedDB,
+// WebSocket and the timers are replaced by fakes, so a test can play firmware frames through the same entry
+// point as the WebSocket (handleDeviceMessage → handleESP32Data) and then look at the
+// buzzer, the toasts and the chart without waiting in real time.
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+
+const ROOT = path.join(__dirname, '..');
+
+// setTimeout/setInterval/Date.now driven by tick(), so alarms can be debounced, snoozed
+// and buzzed through in a few milliseconds
+function createClock(start) {
+    const timers = new Map();
+    let nextId = 1;
+    const clock = {
+        now: start,
+        setTimeout(fn, ms = 0, ...args) {
+            const id = nextId++;
+            timers.set(id, { at: clock.now + Math.max(0, ms), fn, args, interval: null });
+            return id;
+        },
+        setInterval(fn, ms = 0, ...args) {
+            const id = nextId++;
+            timers.set(id, { at: clock.now + Math.max(1, ms), fn, args, interval: Math.max(1, ms) });
+            return id;
+        },
+        clearTimer(id) {
+            timers.delete(id);
+        },
+        // Runs every timer that falls due within `ms`, in time order
+        tick(ms) {
+            const end = clock.now + ms;
+            for (;;) {
+                let dueId = null;
+                timers.forEach((timer, id) => {
+                    if (timer.at <= end && (dueId === null || timer.at < timers.get(dueId).at)) dueId = id;
+                });
+                if (dueId === null) break;
+
+                const timer = timers.get(dueId);
+                clock.now = Math.max(clock.now, timer.at);
+                if (timer.interval) timer.at += timer.interval;
+                else timers.delete(dueId);
+                timer.fn(...timer.args);
+            }
+            clock.now = end;
+        }
+    };
+    return clock;
+}
+
+// Records what the dashboard draws instead of drawing it
+class FakeChart {
+    constructor(ctx, config) {
+        this.config = config;
+        this.data = config.data;
+        this.options = config.options;
+    }
+    update() {}
+    resetZoom() {}
+    zoom() {}
+    pan() {}
+    getZoomLevel() { return 1; }
+    toBase64Image() { return 'data:image/png;base64,'; }
+    destroy() {}
+    static register() {}
+}
+FakeChart.defaults = {};
+
+// Counts the tones the buzzer plays (one oscillator per beep)
+function createFakeAudio(tones) {
+    return class FakeAudioContext {
+        constructor() {
+            this.currentTime = 0;
+            this.destination = {};
+        }
+        createOscillator() {
+            const tone = { frequency: null };
+            return {
+                type: '',
+                frequency: { setValueAtTime: value => { tone.frequency = value; } },
+                connect() {},
+                start: () => tones.push(tone),
+                stop() {}
+            };
+        }
+        createGain() {
+            return { gain: { setValueAtTime() {} }, connect() {} };
+        }
+        close() {}
+    };
+}
+
+// Sockets that stay connecting until a test calls open() or onclose(); `sockets` collects them
+function createFakeSocket(sockets) {
+    return class FakeWebSocket {
+        constructor(url) {
+            this.url = url;
+            this.readyState = FakeWebSocket.CONNECTING;
+            this.sent = [];
+            sockets.push(this);
+        }
+        open() {
+            this.readyState = FakeWebSocket.OPEN;
+            this.onopen();
+        }
+        send(message) { this.sent.push(message); }
+        close() { this.readyState = FakeWebSocket.CLOSED; }
+        static CONNECTING = 0;
+        static OPEN = 1;
+        static CLOSED = 3;
+    };
+}
+
+// index.html with the local scripts inlined and the CDN / SDK scripts left out
+function dashboardHtml() {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    return html
+        .replace(/<script src="(https?:|\/_sdk)[^"]*"[^>]*><\/script>/g, '')
+        .replace(/<script src="([^"]+)"><\/script>/g, (tag, src) =>
+            `<script>${fs.readFileSync(path.join(ROOT, src), 'utf8').replace(/<\/script>/g, '<\\/script>')}</script>`);
+}
+
+// Lets IndexedDB and other real async work finish until `condition()` holds
+async function waitFor(condition, turns = 500) {
+    for (let i = 0; i < turns; i++) {
+        if (condition()) return;
+        await new Promise(resolve => setImmediate(resolve));
+    }
+    throw new Error(`timed out waiting for ${condition}`);
+}
+
+// `fetch` stands in for the browser's (jsdom has none, so the host probe is skipped)
+async function loadDashboard({ storage = {}, fetch = null, url = 'http://localhost/' } = {}) {
+    const clock = createClock(Date.UTC(2025, 0, 1, 8, 0, 0));
+    const tones = [];
+    const toasts = [];
+    const errors = [];
+    const sockets = [];
+
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', err => errors.push(err));
+
+    const dom = new JSDOM(dashboardHtml(), {
+        url,
+        runScripts: 'dangerously',
+        virtualConsole,
+        beforeParse(window) {
+            Object.entries(storage).forEach(([key, value]) => window.localStorage.setItem(key, value));
+            window.Date.now = () => clock.now;
+            window.setTimeout = clock.setTimeout;
+            window.setInterval = clock.setInterval;
+            window.clearTimeout = clock.clearTimer;
+            window.clearInterval = clock.clearTimer;
+            window.HTMLCanvasElement.prototype.getContext = () => ({});
+            window.HTMLElement.prototype.scrollIntoView = () => {}; // not implemented by jsdom
+            window.Chart = FakeChart;
+            window.AudioContext = createFakeAudio(tones);
+            window.indexedDB = new IDBFactory(); // a fresh database per dashboard
+            window.IDBKeyRange = IDBKeyRange;
+            window.WebSocket = createFakeSocket(sockets);
+            if (fetch) window.fetch = fetch;
+        }
+    });
+    const { window } = dom;
+
+    // initApp() runs on DOMContentLoaded; wait for the device cards it renders
+    await waitFor(() => window.document.querySelector('#device-cards .device-card'));
+    await new Promise(resolve => setImmediate(resolve));
+
+    // Toasts are collected as well as shown
+    const showToast = window.showToast;
+    window.showToast = (message, type) => {
+        toasts.push({ message, type });
+        showToast(message, type);
+    };
+
+    const global = name => window.eval(name);
+    const device = () => global('devices')[0];
+    let seq = 0;
+    let uptime = 0;
+
+    return {
+        window,
+        clock,
+        tones,
+        toasts,
+        errors,
+        sockets,
+        global,
+        device,
+        // Delivers the next firmware frame `gap` ms after the previous one, stamped like the
+        // firmware does; `skip` frames in between are lost on the way
+        frame(fields, { gap = 1000, skip = 0 } = {}) {
+            clock.tick(gap * (1 + skip));
+            seq += 1 + skip;
+            uptime += gap * (1 + skip);
+            window.handleDeviceMessage(device(), { uptime, seq, boot: 1, ...fields });
+        },
+        temperatures(values, options) {
+            values.forEach(temperature => this.frame({ temperature, status: 'ok' }, options));
+        },
+        series(kind) {
+            return global('temperatureChart').data.datasets.find(d => d.deviceId === device().id && d.kind === kind);
+        },
+        // Lets saves still in flight (IndexedDB) finish before the window goes away
+        async close() {
+            for (let i = 0; i < 50; i++) await new Promise(resolve => setImmediate(resolve));
+            window.close();
+        }
+    };
+}
+
+module.exports = { loadDashboard, waitFor };
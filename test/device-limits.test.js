@@ -0,0 +1,72 @@
+// Alarm limits typed on a device card: the dashboard accepts the same range as the firmware,
+// and a refusal from the firmware is shown instead of being retried on every connect
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadDashboard, waitFor } = require('./dashboard-harness.js');
+
+let dashboard;
+
+beforeEach(async () => {
+    dashboard = await loadDashboard();
+});
+
+afterEach(async () => {
+    await dashboard.close();
+    assert.deepEqual(dashboard.errors.map(err => err.message), [], 'the page raised no errors');
+});
+
+function typeLimits(threshold, warning = '', low = '') {
+    const card = dashboard.device().card;
+    card.querySelector('[data-field="threshold-input"]').value = threshold;
+    card.querySelector('[data-field="warning-input"]').value = warning;
+    card.querySelector('[data-field="low-input"]').value = low;
+    dashboard.window.updateThreshold(dashboard.device());
+}
+
+test('limits below zero are accepted down to the thermocouple range', () => {
+    typeLimits('-50', '-60', '-190');
+    assert.deepEqual([dashboard.device().threshold, dashboard.device().lowThreshold], [-50, -190]);
+
+    typeLimits('-50', '', '-250');
+    assert.equal(dashboard.device().lowThreshold, -190, 'out of range, left unchanged');
+    assert.ok(dashboard.toasts.some(toast => toast.message === 'Limits must be between -200.0°C and 1350.0°C'));
+});
+
+test('limits refused by the firmware are reported and not sent again', async () => {
+    const device = dashboard.device();
+    dashboard.window.sendRequest = () => Promise.reject(Object.assign(new Error('limits must be between -200 and 1350 °C'), { refused: true }));
+
+    typeLimits('80');
+    await waitFor(() => dashboard.toasts.some(toast => toast.type === 'error'));
+    assert.ok(dashboard.toasts.some(toast => toast.message === 'ESP32: the device refused the limits (limits must be between -200 and 1350 °C)'));
+    assert.equal(device.limitsPending, false);
+
+    dashboard.window.sendRequest = () => Promise.reject(new Error('no reply to set_threshold'));
+    typeLimits('85');
+    await waitFor(() => device.limitsPending);
+});
+
+test('a chemical with a narrow liquid range links with limits the firmware accepts', async () => {
+    const { window, global } = dashboard;
+    const device = dashboard.device();
+    const sent = [];
+    window.sendRequest = (target, cmd, args) => {
+        sent.push(args);
+        return Promise.reject(new Error('not connected'));
+    };
+    await global('chemicalStore').create({
+        id: 'narrow', chemName: 'Narrow', formula: 'X', boilingPoint: 8, freezingPoint: 0, hazardLevel: 'Low'
+    });
+    await waitFor(() => global('chemicals').length === 1);
+
+    window.linkChemical(device, 'narrow');
+    assert.deepEqual([device.threshold, device.warningThreshold, device.lowThreshold], [8, null, 0]);
+    assert.ok(dashboard.toasts.some(toast => toast.type === 'warning' &&
+        toast.message === "ESP32: Narrow's limits do not fit the device – no warning limit"));
+    assert.deepEqual(JSON.parse(JSON.stringify(sent)), [{ threshold: 8, warning: null, low: 0 }]);
+
+    // Other database changes re-apply the link without warning again
+    await global('chemicalStore').create({ id: 'water', chemName: 'Water', formula: 'H2O', boilingPoint: 100, freezingPoint: 0, hazardLevel: 'Low' });
+    await waitFor(() => global('chemicals').length === 2);
+    assert.equal(dashboard.toasts.filter(toast => toast.message.includes('do not fit the device')).length, 1);
+});
@@ -0,0 +1,31 @@
+// Forms filled with temperatures converted to °F / K must still pass the browser's own
+// validation, or Save silently does nothing
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { SEED_CHEMICALS } = require('../chemical-rules.js');
+const { loadDashboard, waitFor } = require('./dashboard-harness.js');
+
+let dashboard;
+
+afterEach(async () => {
+    await dashboard.close();
+    assert.deepEqual(dashboard.errors.map(err => err.message), [], 'the page raised no errors');
+});
+
+for (const unit of ['F', 'K']) {
+    test(`the chemical and limit forms validate with converted values in ${unit}`, async () => {
+        dashboard = await loadDashboard({ storage: { 'esp32.displayPrefs': JSON.stringify({ unit }) } });
+        const { window, global } = dashboard;
+        await global('chemicalStore').create({ id: 'ethanol', ...SEED_CHEMICALS.find(c => c.chemName === 'Ethanol') });
+        await waitFor(() => global('chemicals').length === 1);
+
+        window.editChemical(global('chemicals')[0].__backendId);
+        const form = window.document.getElementById('chemical-form');
+        assert.notEqual(form.querySelector('#boiling-point').value, '78.4', 'shown in the chosen unit');
+        assert.equal(form.checkValidity(), true);
+
+        const limits = dashboard.device().card.querySelectorAll('[data-field$="-input"]');
+        limits[0].value = window.tempInputValue(100.05);
+        assert.ok([...limits].every(input => input.checkValidity()));
+    });
+}
@@ -0,0 +1,55 @@
+// A dashboard served by the board itself lists that board, without waiting for the probe
+// before the first render
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadDashboard, waitFor } = require('./dashboard-harness.js');
+
+let dashboard;
+
+afterEach(async () => {
+    await dashboard.close();
+    assert.deepEqual(dashboard.errors.map(err => err.message), [], 'the page raised no errors');
+});
+
+// /api/status that answers once `answer()` is called
+function slowStatus() {
+    let answer;
+    const reply = new Promise(resolve => {
+        answer = () => resolve({ ok: true, json: async () => ({ firmware: '2.2.0' }) });
+    });
+    return { fetch: () => reply, answer: () => answer() };
+}
+
+function addresses() {
+    return dashboard.global('devices').map(device => [device.name, device.address]);
+}
+
+test('the serving board is added to a saved device list that lacks it', async () => {
+    const status = slowStatus();
+    const devices = JSON.stringify([{ name: 'ESP32', address: '10.0.0.5' }]);
+    dashboard = await loadDashboard({ storage: { 'esp32.devices': devices }, fetch: status.fetch });
+    assert.deepEqual(JSON.parse(JSON.stringify(addresses())), [['ESP32', '10.0.0.5']], 'rendered before the probe answers');
+
+    status.answer();
+    await waitFor(() => dashboard.global('devices').length === 2);
+    assert.deepEqual(JSON.parse(JSON.stringify(addresses())), [['ESP32', '10.0.0.5'], ['ESP32 (localhost)', 'localhost']]);
+    assert.equal(dashboard.window.document.querySelectorAll('#device-cards .device-card').length, 2);
+    assert.match(dashboard.window.localStorage.getItem('esp32.devices'), /"address":"localhost"/);
+});
+
+test('on first run the serving board takes over the placeholder device', async () => {
+    const status = slowStatus();
+    dashboard = await loadDashboard({ fetch: status.fetch });
+    status.answer();
+    await waitFor(() => dashboard.device().address === 'localhost');
+    assert.equal(dashboard.global('devices').length, 1);
+});
+
+test('a saved entry for the serving board is not duplicated', async () => {
+    const status = slowStatus();
+    const devices = JSON.stringify([{ name: 'Reactor', address: 'ws://localhost/ws' }]);
+    dashboard = await loadDashboard({ storage: { 'esp32.devices': devices }, fetch: status.fetch });
+    status.answer();
+    for (let i = 0; i < 10; i++) await new Promise(resolve => setImmediate(resolve));
+    assert.equal(dashboard.global('devices').length, 1);
+});
@@ -0,0 +1,90 @@
+// Session statistics, trend fitting and limit-crossing predictions (live-stats.js)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    temperatureStats, recentTrend, createLiveStats, addLiveReading, liveStatsSummary, liveTrend,
+    predictLimitCrossing, projectionPoints
+} = require('../live-stats.js');
+
+const START = Date.UTC(2025, 0, 1, 8, 0, 0);
+
+// One reading a second starting at START
+function readings(temperatures) {
+    return temperatures.map((temperature, i) => ({ time: new Date(START + i * 1000).toISOString(), temperature }));
+}
+
+function ramp(from, perSecond, count) {
+    return Array.from({ length: count }, (_, i) => from + perSecond * i);
+}
+
+test('temperatureStats of a known series, ignoring invalid readings', () => {
+    // Textbook series: mean 5, population standard deviation 2
+    const stats = temperatureStats([2, 4, 4, 4, 5, 5, 7, 9, null, NaN, 5000]);
+    assert.deepEqual(stats, { count: 8, min: 2, max: 9, average: 5, stdDev: 2 });
+    assert.deepEqual(temperatureStats([null]), { count: 0, min: null, max: null, average: null, stdDev: null });
+});
+
+test('recentTrend gives the slope of a linear ramp in °C per minute', () => {
+    const trend = recentTrend(readings(ramp(20, 0.5, 60)), 60);
+    assert.ok(Math.abs(trend.slope - 30) < 1e-9);
+    assert.equal(trend.latest, START + 59000);
+
+    assert.equal(recentTrend(readings([20, 21]), 60), null, 'too few readings');
+    assert.equal(recentTrend(readings(ramp(20, 1, 10)), 60), null, 'not half a window yet');
+});
+
+test('no crossing is predicted while cooling away from the alarm threshold', () => {
+    const trend = recentTrend(readings(ramp(90, -0.2, 60)), 60);
+    assert.ok(trend.slope < 0);
+    assert.equal(predictLimitCrossing(trend, { threshold: 100, lowThreshold: null }), null);
+    assert.equal(predictLimitCrossing(trend, { threshold: 100, lowThreshold: undefined }), null);
+});
+
+test('heating toward the threshold predicts when it is crossed', () => {
+    // 0.5 °C/s from 20 °C: 100 °C is reached 160 s after the first reading
+    const trend = recentTrend(readings(ramp(20, 0.5, 60)), 60);
+    const crossing = predictLimitCrossing(trend, { threshold: 100, lowThreshold: 0 });
+    assert.equal(crossing.kind, 'threshold');
+    assert.equal(crossing.limit, 100);
+    assert.ok(Math.abs(crossing.at - (START + 160000)) < 1);
+
+    const cooling = predictLimitCrossing(recentTrend(readings(ramp(20, -0.5, 60)), 60), { threshold: 100, lowThreshold: 0 });
+    assert.equal(cooling.kind, 'low');
+    assert.equal(cooling.at, START + 59000, 'already below 0 °C: reported as now');
+});
+
+test('the projection ends at the crossing or the horizon, whichever is sooner', () => {
+    const trend = recentTrend(readings(ramp(20, 0.5, 60)), 60);
+    const crossing = predictLimitCrossing(trend, { threshold: 100, lowThreshold: null });
+    const [from, to] = projectionPoints(trend, crossing, 10 * 60000);
+    assert.equal(from.x, START + 59000);
+    assert.ok(Math.abs(from.y - 49.5) < 1e-9);
+    assert.ok(Math.abs(to.x - crossing.at) < 1);
+    assert.ok(Math.abs(to.y - 100) < 1e-6);
+
+    const [, capped] = projectionPoints(trend, crossing, 30000);
+    assert.equal(capped.x, START + 89000);
+    assert.deepEqual(projectionPoints(null, null, 30000), []);
+});
+
+test('running statistics match the whole-session ones', () => {
+    const series = readings([...ramp(20, 0.25, 400), null, ...ramp(120, -0.1, 200)]);
+    const running = createLiveStats();
+    series.forEach(reading => addLiveReading(running, reading, 60));
+
+    const batch = temperatureStats(series.map(r => r.temperature));
+    const summary = liveStatsSummary(running);
+    assert.equal(running.readings, 601);
+    assert.deepEqual([summary.count, summary.min, summary.max], [batch.count, batch.min, batch.max]);
+    assert.ok(Math.abs(summary.average - batch.average) < 1e-9);
+    assert.ok(Math.abs(summary.stdDev - batch.stdDev) < 1e-6);
+
+    assert.ok(running.window.length <= 61, 'only the trend window is kept');
+    assert.deepEqual(liveTrend(running, 60), recentTrend(series, 60));
+});
+
+test('a constant series has no spread', () => {
+    const running = createLiveStats();
+    readings(new Array(1000).fill(78.4)).forEach(reading => addLiveReading(running, reading, 60));
+    assert.equal(liveStatsSummary(running).stdDev, 0);
+});
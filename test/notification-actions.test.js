@@ -0,0 +1,50 @@
+// Acknowledge clicked on a system notification after the dashboard tab was closed: sw.js
+// opens a new tab with the action in its URL
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadDashboard } = require('./dashboard-harness.js');
+
+let dashboard;
+
+afterEach(async () => {
+    await dashboard.close();
+    assert.deepEqual(dashboard.errors.map(err => err.message), [], 'the page raised no errors');
+});
+
+const storage = {
+    'esp32.devices': JSON.stringify([{ id: 'dev1', name: 'ESP32', address: '10.0.0.5', threshold: 100 }]),
+    'esp32.operator': 'Dana'
+};
+
+async function openFromNotification(action) {
+    dashboard = await loadDashboard({ storage, url: `http://localhost/?notification=${action}&device=dev1` });
+}
+
+test('a tab opened by Acknowledge acknowledges the alarm once it is raised again', async () => {
+    await openFromNotification('acknowledge');
+    const device = dashboard.device();
+    assert.equal(dashboard.window.location.search, '', 'the action is taken once, not on every reload');
+    assert.notEqual(device.state, 'disconnected', 'it connects to the device');
+
+    dashboard.temperatures([101, 101, 101, 101]);
+    assert.equal(device.alarmLevel, 'critical');
+    assert.equal(device.alarmAcknowledged, true);
+    assert.equal(device.alarmEvent.acknowledgedBy, 'Dana');
+    assert.equal(device.buzzerInterval, null);
+});
+
+test('the pending acknowledgement runs out', async () => {
+    await openFromNotification('acknowledge');
+    const device = dashboard.device();
+    dashboard.clock.tick(61000);
+
+    dashboard.temperatures([101, 101, 101, 101]);
+    assert.equal(device.alarmAcknowledged, false);
+    assert.equal(device.buzzerLevel, 'critical');
+});
+
+test('Open only shows the device', async () => {
+    await openFromNotification('open');
+    dashboard.temperatures([101, 101, 101, 101]);
+    assert.equal(dashboard.device().alarmAcknowledged, false);
+});
@@ -0,0 +1,65 @@
+// Run reports: the data kept for a session, and that names typed by users cannot break the
+// report page or the workbook markup
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_DISPLAY_PREFS } = require('../display-units.js');
+const { buildRun, buildRunJson, buildRunWorkbook, buildRunReportHtml } = require('../run-report.js');
+
+const STARTED = '2025-01-01T08:00:00.000Z';
+const ENDED = '2025-01-01T08:10:00.000Z';
+const HOSTILE = '<script>alert("x")</script>';
+
+function sampleRun({ sessionName = 'Reflux run', chemName = 'Ethanol' } = {}) {
+    const chemicals = [{ id: 'c1', chemName, formula: 'C2H6O', casNumber: '64-17-5', boilingPoint: 78.4,
+        freezingPoint: -114.1, flashPoint: 13, hazardLevel: 'High' }];
+    const session = {
+        id: 's1', name: sessionName, notes: '', startedAt: STARTED, endedAt: ENDED,
+        devices: [{ id: 'd1', name: 'Flask A', color: '#fff', chemicalId: 'c1', chemName }],
+        thresholdHistory: [{ time: STARTED, deviceId: 'd1', device: 'Flask A', threshold: 73.4,
+            warningThreshold: 68.4, lowThreshold: -109.1, chemName }],
+        dataLoss: [{ from: STARTED, to: STARTED }]
+    };
+    const readings = [
+        { time: '2025-01-01T08:01:00.000Z', deviceId: 'd1', device: 'Flask A', temperature: 70, threshold: 73.4 },
+        { time: '2025-01-01T08:02:00.000Z', deviceId: 'd1', device: 'Flask A', temperature: null, threshold: 73.4 },
+        { time: '2025-01-01T08:03:00.000Z', deviceId: 'd1', device: 'Flask A', temperature: 80, threshold: 73.4 }
+    ];
+    const alarmLog = [
+        { deviceId: 'd1', device: 'Flask A', level: 'critical', rules: ['threshold'], raisedAt: '2025-01-01T08:03:00.000Z',
+            clearedAt: null, peakTemperature: 80, acknowledgedAt: null, acknowledgedBy: null, snoozes: [] },
+        { deviceId: 'd1', device: 'Flask A', level: 'warning', rules: ['warning'], raisedAt: '2024-12-31T08:00:00.000Z',
+            clearedAt: '2024-12-31T08:05:00.000Z', peakTemperature: 70, acknowledgedAt: null, acknowledgedBy: null, snoozes: [] }
+    ];
+    return buildRun({ session, readings, alarmLog, chemicals });
+}
+
+test('the JSON export carries the session, its alarms and valid readings in the chosen unit', () => {
+    const file = JSON.parse(buildRunJson(sampleRun(), 'F'));
+    assert.equal(file.temperatureUnit, '°F');
+    assert.equal(file.session.durationSeconds, 600);
+    assert.equal(file.devices[0].chemical.chemName, 'Ethanol');
+    assert.ok(Math.abs(file.devices[0].chemical.boilingPoint - 173.12) < 1e-9);
+    assert.equal(file.statistics.count, 2);
+    assert.ok(Math.abs(file.statistics.stdDev - 9) < 1e-9, 'a spread converts without the offset');
+    assert.deepEqual(file.readings.map(r => r.temperature), [158, 176]);
+    assert.deepEqual(file.alarms.map(a => a.level), ['critical'], 'only alarms during the run');
+    assert.equal(file.dataLoss, 1);
+});
+
+test('session and chemical names are escaped in the HTML report', () => {
+    const html = buildRunReportHtml(sampleRun({ sessionName: HOSTILE, chemName: `${HOSTILE} & co` }),
+        { prefs: DEFAULT_DISPLAY_PREFS });
+    assert.ok(!html.includes('<script>'), 'no markup from names reaches the page');
+    assert.match(html, /<title>&lt;script&gt;alert\(&quot;x&quot;\)&lt;\/script&gt; – Run Report<\/title>/);
+    assert.match(html, /<h1>&lt;script&gt;/);
+    assert.ok(html.includes('&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp; co (C2H6O)'));
+});
+
+test('the workbook XML escapes & and < in text cells', () => {
+    const xml = buildRunWorkbook(sampleRun({ sessionName: 'A & B <test>', chemName: 'Acids & <bases>' }));
+    assert.ok(xml.includes('<Data ss:Type="String">A &amp; B &lt;test&gt;</Data>'));
+    assert.ok(xml.includes('<Data ss:Type="String">Acids &amp; &lt;bases&gt;</Data>'));
+    assert.ok(!/&(?!amp;|lt;|gt;|quot;|#39;)/.test(xml), 'no bare ampersands');
+    assert.ok(!xml.includes('<test>') && !xml.includes('<bases>'));
+    assert.ok(xml.includes('<Data ss:Type="Number">78.4</Data>'), 'numbers stay number cells');
+});
@@ -0,0 +1,57 @@
+// Opening saved runs and editing them while the live session or the store changes
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadDashboard, waitFor } = require('./dashboard-harness.js');
+
+let dashboard;
+
+beforeEach(async () => {
+    dashboard = await loadDashboard();
+});
+
+afterEach(async () => {
+    await dashboard.close();
+    assert.deepEqual(dashboard.errors.map(err => err.message), [], 'the page raised no errors');
+});
+
+async function recordSavedRun(temperatures) {
+    const { window, global } = dashboard;
+    window.toggleRecording();
+    dashboard.temperatures(temperatures);
+    window.toggleRecording();
+    const session = global('currentSession');
+    assert.ok(await window.persistSession(session));
+    window.clearChart();
+    return session.id;
+}
+
+test('opening a saved run while recording saves the live session first', async () => {
+    const { window, global } = dashboard;
+    const savedId = await recordSavedRun([20, 21, 22]);
+
+    window.toggleRecording();
+    dashboard.temperatures([30, 31]);
+    const liveId = global('currentSession').id;
+
+    await window.openSession(savedId);
+    assert.equal(global('isRecording'), false);
+    assert.equal(global('viewedSession').id, savedId);
+    assert.equal(dashboard.series('temperature').data.length, 3);
+
+    const live = await window.getSession(liveId);
+    assert.deepEqual(live.readings.map(reading => reading.temperature), [30, 31]);
+    assert.ok(dashboard.toasts.some(toast => toast.message.startsWith('Saved the live session as')));
+});
+
+test('saving the edit form of a session deleted elsewhere closes the form', async () => {
+    const { window, global } = dashboard;
+    window.openSessionModal({ id: 'deleted-elsewhere', name: 'Old run', notes: '' });
+    window.document.getElementById('session-name').value = 'Renamed run';
+    window.document.getElementById('session-form').dispatchEvent(new window.Event('submit', { cancelable: true }));
+
+    await waitFor(() => dashboard.toasts.length > 0);
+    assert.deepEqual(dashboard.toasts.map(toast => [toast.message, toast.type]),
+        [['This session no longer exists', 'error']]);
+    assert.equal(window.document.getElementById('session-modal').style.display, 'none');
+    assert.equal(global('editingSession'), null);
+});
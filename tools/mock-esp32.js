@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+// Local stand-in for the ESP32: serves the simulated firmware from simulator.js on a real
+// WebSocket at /ws, and like the firmware also the dashboard files and /api/status and
+// /api/record, so the dashboard can be tested end to end without hardware.
+// Uses only Node built-ins (no npm install needed).
+//
+//   node tools/mock-esp32.js [--port 8080] [--profile "overshoot?target=120&noise=0.5"]
+//
+// Then open http://localhost:8080/ (the dashboard connects to it by itself), or add a
+// device with the address "localhost:8080" on a dashboard hosted elsewhere.
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { SIMULATOR_PROFILES, parseSimulatorAddress, createSimulatedFirmware } = require(path.join(__dirname, '..', 'simulator.js'));
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11'; // RFC 6455 handshake constant
+const OPCODES = { text: 0x1, close: 0x8, ping: 0x9, pong: 0xA };
+
+// What the firmware serves from LittleFS (/www/): the files the dashboard loads
+const DASHBOARD_ROOT = path.join(__dirname, '..');
+const DASHBOARD_FILES = ['index.html', 'stylesheet.css', 'script.js', 'sw.js', 'alarm-engine.js', 'display-units.js',
+    'live-stats.js', 'csv-export.js', 'chemical-rules.js', 'run-report.js', 'simulator.js'];
+const CONTENT_TYPES = { '.html': 'text/html', '.css': 'text/css', '.js': 'application/javascript' };
+
+function parseArgs(argv) {
+    const args = { port: 8080, profile: 'ramp' };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') args.port = parseInt(argv[++i], 10);
+        else if (argv[i] === '--profile') args.profile = argv[++i];
+        else if (argv[i] === '--help') args.help = true;
+        else throw new Error(`Unknown argument "${argv[i]}"`);
+    }
+    return args;
+}
+
+// --- Minimal RFC 6455 framing: unfragmented text frames, ping/pong and close ---
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+// Pulls complete frames off the front of `buffer`; returns them and the unread rest
+function decodeFrames(buffer) {
+    const frames = [];
+    while (buffer.length >= 2) {
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buffer.length < 4) break;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) break;
+            length = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+
+        const maskOffset = offset;
+        if (masked) offset += 4;
+        if (buffer.length < offset + length) break;
+
+        const payload = Buffer.from(buffer.subarray(offset, offset + length));
+        if (masked) {
+            for (let i = 0; i < payload.length; i++) payload[i] ^= buffer[maskOffset + (i % 4)];
+        }
+        frames.push({ opcode, payload });
+        buffer = buffer.subarray(offset + length);
+    }
+    return { frames, rest: buffer };
+}
+
+function acceptWebSocket(firmware, req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    if (!key || req.url.split('?')[0] !== '/ws') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write('HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n' +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+
+    const id = `${socket.remoteAddress}:${socket.remotePort}`;
+    const send = message => {
+        if (socket.writable) socket.write(encodeFrame(OPCODES.text, Buffer.from(JSON.stringify(message))));
+    };
+    const close = () => {
+        if (socket.writable) socket.end(encodeFrame(OPCODES.close));
+    };
+    const detach = firmware.connect(send, close);
+    console.log(`🔗 Client connected: ${id}`);
+
+    let pending = Buffer.alloc(0);
+    socket.on('data', chunk => {
+        const { frames, rest } = decodeFrames(Buffer.concat([pending, chunk]));
+        pending = rest;
+        frames.forEach(({ opcode, payload }) => {
+            if (opcode === OPCODES.text) {
+                const message = payload.toString('utf8');
+                console.log(`📩 Received from client: ${message}`);
+                firmware.handle(message, send);
+            } else if (opcode === OPCODES.ping) {
+                socket.write(encodeFrame(OPCODES.pong, payload));
+            } else if (opcode === OPCODES.close) {
+                close();
+            }
+        });
+    });
+    socket.on('close', () => {
+        detach();
+        console.log(`❌ Client disconnected: ${id}`);
+    });
+    socket.on('error', err => console.warn(`⚠️ Socket error (${id}): ${err.message}`));
+}
+
+// --- HTTP: dashboard files and the REST API of the firmware ---
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+// Runs a command on the simulated board and returns its (synchronous) reply
+function firmwareReply(firmware, message) {
+    let reply = null;
+    firmware.handle(message, result => { reply = result; });
+    return reply;
+}
+
+function handleHttp(firmware, lastFrame, req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname === '/api/status' && req.method === 'GET') {
+        const info = firmwareReply(firmware, JSON.stringify({ v: 1, id: 0, cmd: 'get_info' })).result;
+        const config = firmwareReply(firmware, JSON.stringify({ v: 1, id: 0, cmd: 'get_config' })).result;
+        sendJson(res, 200, { ...info, config, reading: lastFrame() });
+    } else if (url.pathname === '/api/record' && req.method === 'GET') {
+        sendJson(res, 200, firmwareReply(firmware, `get_record?${url.searchParams}`));
+    } else if (url.pathname === '/api/record' && req.method === 'POST') {
+        const action = url.searchParams.get('action');
+        if (action !== 'start' && action !== 'stop') {
+            sendJson(res, 400, { error: 'action must be start or stop' });
+            return;
+        }
+        sendJson(res, 200, firmwareReply(firmware, action === 'start' ? 'start_record' : 'end_record'));
+    } else {
+        const file = url.pathname === '/' ? 'index.html' : url.pathname.slice(1);
+        if (req.method !== 'GET' || !DASHBOARD_FILES.includes(file)) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)], 'Cache-Control': 'no-cache' });
+        fs.createReadStream(path.join(DASHBOARD_ROOT, file)).pipe(res);
+    }
+}
+
+function main() {
+    let args;
+    let options;
+    try {
+        args = parseArgs(process.argv.slice(2));
+        options = parseSimulatorAddress(`sim:${args.profile}`);
+    } catch (err) {
+        console.error(`❌ ${err.message}`);
+        process.exitCode = 1;
+        return;
+    }
+    if (args.help) {
+        console.log('Usage: node tools/mock-esp32.js [--port 8080] [--profile "<name>?option=value&..."]');
+        console.log(`Profiles: ${Object.keys(SIMULATOR_PROFILES).join(', ')}`);
+        return;
+    }
+
+    const firmware = createSimulatedFirmware(options);
+    // Keeps the last telemetry frame for /api/status, like the firmware does. A simulated
+    // reboot drops every client, so this listener attaches itself again.
+    let frame = null;
+    const listen = () => firmware.connect(message => {
+        if (message.seq !== undefined) frame = message;
+    }, () => setImmediate(listen));
+    listen();
+
+    const server = http.createServer((req, res) => handleHttp(firmware, () => frame, req, res));
+    server.on('upgrade', (req, socket) => acceptWebSocket(firmware, req, socket));
+    server.listen(args.port, () => {
+        console.log(`🌐 Simulated ESP32 (${options.label}): dashboard at http://localhost:${args.port}/, WebSocket at /ws`);
+    });
+
+    process.on('SIGINT', () => {
+        firmware.stop();
+        process.exit(0);
+    });
+}
+
+main();